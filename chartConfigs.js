@@ -0,0 +1,429 @@
+// Builds the Chart.js configs of every chart type.
+// The server builds them for CSV, and the chart workers build them for PNG and SVG.
+// A config holds functions, which can't be sent to a worker, so the chart data is sent instead
+
+// The colors of each theme. "blue" is the original look
+const chartThemes = {
+  blue: { background: '#2450A4', text: '#ffffff', grid: '#3690EA', border: '#ffffff' },
+  dark: { background: '#1E1E1E', text: '#E6E6E6', grid: '#3C3C3C', border: '#1E1E1E' },
+  light: { background: '#FFFFFF', text: '#222222', grid: '#DDDDDD', border: '#FFFFFF' }
+};
+
+// Builds the Chart.js config of a chart type
+function buildChartConfig(type, data, options) {
+  const theme = chartThemes[options.theme];
+  const title = data.title; // Each app can have its own title on the charts
+  const pieTitle = (name) => title ? `${title}: ${name}` : name;
+
+  switch (type) {
+    case 'version':
+      return generateHourlyChartConfigPie(pieTitle('Version Distribution'), data.combinedVersionTotals.labels, data.combinedVersionTotals.data, generateDistinctColors(data.combinedVersionTotals.labels.length), theme);
+    case 'browser':
+      return generateHourlyChartConfigPie(pieTitle('Browser Distribution'), data.combinedBrowserTotals.labels, data.combinedBrowserTotals.data, generateDistinctColors(data.combinedBrowserTotals.labels.length), theme);
+    case 'os':
+      return generateHourlyChartConfigPie(pieTitle('OS Distribution'), data.combinedOSTotals.labels, data.combinedOSTotals.data, generateDistinctColors(data.combinedOSTotals.labels.length), theme);
+    case 'live':
+      return generateHourlyChartConfigLive(data.liveLabels, data.dataOnlineNow, data.liveWindowMinutes, theme, title);
+    case 'stats':
+      return generateHourlyChartConfigStats(data.labels, data.dataOnlineUsers, data.ceilingOnlineUsers, data.floorOnlineUsers, data.rollingAvgOnlineUsers, theme, data.window, data.windowLabel, title);
+    default:
+      return generateHourlyChartConfigMain(data.labels, data.dataOnlineUsers, data.uniqueVersions, data.uniqueBrowsers, data.uniqueOS, theme, title);
+  }
+}
+
+function generateDistinctColors(n) {
+  const colors = [];
+  for (let i = 0; i < n; i++) {
+    // Evenly distribute hues, use full saturation and 40% lightness for vibrancy
+    const hue = Math.round((360 * i) / n);
+    colors.push(`hsl(${hue}, 80%, 40%)`);
+  }
+  return colors;
+}
+
+function rollingStd(arr, window) {
+  return arr.map((_, idx) => {
+    const start = Math.max(0, idx - window + 1);
+    const slice = arr.slice(start, idx + 1).filter(value => value !== null); // Skip gaps
+    if (!slice.length) return 0;
+    const mean = slice.reduce((a, b) => a + b, 0) / slice.length;
+    const variance = slice.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / slice.length;
+    return Math.sqrt(variance);
+  });
+}
+
+// Calculates the Bollinger Bands (2 standard deviations from the moving average)
+function bollingerBands(data, rollingAvg, window) {
+  const std = rollingStd(data, window);
+  return {
+    upperBand: rollingAvg.map((avg, i) => (avg === null) ? null : avg + 2 * std[i]),
+    lowerBand: rollingAvg.map((avg, i) => (avg === null) ? null : avg - 2 * std[i])
+  };
+}
+
+// Fills the background of a chart, since canvases are transparent
+function backgroundColorPlugin(color) {
+  return {
+    id: 'customBackgroundColor',
+    beforeDraw: (chart) => {
+      const ctx = chart.ctx;
+      ctx.save();
+      ctx.globalCompositeOperation = 'destination-over';
+      ctx.fillStyle = color;
+      ctx.fillRect(0, 0, chart.width, chart.height);
+      ctx.restore();
+    }
+  };
+}
+
+function generateHourlyChartConfigMain(labels, dataOnlineUsers, uniqueVersions, uniqueBrowsers, uniqueOS, theme = chartThemes.blue, title = null) {
+  return {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Users',
+          data: dataOnlineUsers,
+          borderColor: 'rgba(75, 192, 192, 1)',
+          backgroundColor: 'rgba(75, 192, 192, 0.15)',
+          fill: true,
+          yAxisID: 'y',
+        },
+        {
+          label: 'Versions',
+          data: uniqueVersions,
+          borderColor: '#98e866',
+          backgroundColor: 'rgba(153, 102, 255, 0.15)',
+          fill: true,
+          yAxisID: 'y2',
+        },
+        {
+          label: 'Browsers',
+          data: uniqueBrowsers,
+          borderColor: 'rgba(255, 159, 64, 1)',
+          backgroundColor: 'rgba(255, 159, 64, 0.15)',
+          fill: true,
+          yAxisID: 'y2',
+        },
+        {
+          label: 'Operating Systems',
+          data: uniqueOS,
+          borderColor: 'rgba(255, 99, 132, 1)',
+          backgroundColor: 'rgba(255, 99, 132, 0.15)',
+          fill: true,
+          yAxisID: 'y2',
+        }
+      ]
+    },
+    options: {
+      responsive: false,
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Time',
+            color: theme.text
+          },
+          ticks: {
+            maxTicksLimit: 24,
+            color: theme.text
+          },
+          grid: {
+            color: theme.grid,
+            lineWidth: 2
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Online Users',
+            color: theme.text
+          },
+          position: 'left',
+          ticks: {
+            color: theme.text,
+            callback: function(value) {
+              return Number.isInteger(value) ? value : '';
+            }
+          },
+          grid: {
+            color: theme.grid
+          }
+        },
+        y2: {
+          title: {
+            display: true,
+            text: 'Computer Statistics',
+            color: theme.text
+          },
+          position: 'right',
+          ticks: {
+            color: theme.text,
+            callback: function(value) {
+              return Number.isInteger(value) ? value : '';
+            }
+          },
+          grid: {
+            drawOnChartArea: true,
+            color: theme.grid
+          }
+        }
+      },
+      plugins: {
+        legend: {
+          labels: {
+            color: theme.text
+          }
+        },
+        datalabels: {
+          display: false // Disables data labels on the points
+        },
+        title: {
+          display: !!title,
+          text: title || '',
+          color: theme.text,
+          font: { size: 22 }
+        }
+      }
+    },
+    plugins: [backgroundColorPlugin(theme.background)]
+  };
+}
+
+function generateHourlyChartConfigStats(labels, dataOnlineUsers, ceiling, floor, rollingAvg, theme = chartThemes.blue, window = 24, windowLabel = '24h', title = null) {
+
+  // Calculates the Bollinger Bands
+  const { upperBand, lowerBand } = bollingerBands(dataOnlineUsers, rollingAvg, window);
+
+  return {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Online Users',
+          data: dataOnlineUsers,
+          borderColor: 'rgba(75, 192, 192, 1)',
+          backgroundColor: 'rgba(75, 192, 192, 0.15)',
+          fill: true,
+          yAxisID: 'y',
+        },
+        {
+          label: 'Resistance (Ceiling)',
+          data: ceiling,
+          borderColor: '#FFD700',
+          borderDash: [8, 4],
+          pointRadius: 0,
+          fill: false,
+          yAxisID: 'y',
+        },
+        {
+          label: 'Support (Floor)',
+          data: floor,
+          borderColor: '#00FF00',
+          borderDash: [8, 4],
+          pointRadius: 0,
+          fill: false,
+          yAxisID: 'y',
+        },
+        {
+          label: `${windowLabel} Simple Moving Average`,
+          data: rollingAvg,
+          borderColor: '#FF8C00',
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+          yAxisID: 'y',
+        },
+        {
+          label: 'Bollinger Upper',
+          data: upperBand,
+          borderColor: '#FF0000',
+          borderDash: [4, 4],
+          pointRadius: 0,
+          fill: false,
+          yAxisID: 'y',
+        },
+        {
+          label: 'Bollinger Lower',
+          data: lowerBand,
+          borderColor: '#f200ff',
+          borderDash: [4, 4],
+          pointRadius: 0,
+          fill: false,
+          yAxisID: 'y',
+        }
+      ]
+    },
+    options: {
+      responsive: false,
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Time',
+            color: theme.text
+          },
+          ticks: {
+            maxTicksLimit: 24,
+            color: theme.text
+          },
+          grid: {
+            color: theme.grid,
+            lineWidth: 2
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Online Users',
+            color: theme.text
+          },
+          position: 'left',
+          ticks: {
+            color: theme.text,
+            callback: function(value) {
+              return Number.isInteger(value) ? value : '';
+            }
+          },
+          grid: {
+            color: theme.grid
+          }
+        }
+      },
+      plugins: {
+        legend: {
+          labels: {
+            color: theme.text
+          }
+        },
+        datalabels: {
+          display: false // Disables data labels on the points
+        },
+        title: {
+          display: !!title,
+          text: title || '',
+          color: theme.text,
+          font: { size: 22 }
+        }
+      }
+    },
+    plugins: [backgroundColorPlugin(theme.background)]
+  };
+}
+
+function generateHourlyChartConfigLive(labels, dataOnlineNow, windowMinutes, theme = chartThemes.blue, title = null) {
+  return {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: `Online Now (${windowMinutes} min window)`,
+          data: dataOnlineNow,
+          borderColor: 'rgba(75, 192, 192, 1)',
+          backgroundColor: 'rgba(75, 192, 192, 0.15)',
+          pointRadius: 0,
+          fill: true,
+          yAxisID: 'y',
+        }
+      ]
+    },
+    options: {
+      responsive: false,
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Time',
+            color: theme.text
+          },
+          ticks: {
+            maxTicksLimit: 24,
+            color: theme.text
+          },
+          grid: {
+            color: theme.grid,
+            lineWidth: 2
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Online Users',
+            color: theme.text
+          },
+          position: 'left',
+          beginAtZero: true, // So a drop looks as big as it is
+          ticks: {
+            color: theme.text,
+            callback: function(value) {
+              return Number.isInteger(value) ? value : '';
+            }
+          },
+          grid: {
+            color: theme.grid
+          }
+        }
+      },
+      plugins: {
+        legend: {
+          labels: {
+            color: theme.text
+          }
+        },
+        datalabels: {
+          display: false // Disables data labels on the points
+        },
+        title: {
+          display: !!title,
+          text: title || '',
+          color: theme.text,
+          font: { size: 22 }
+        }
+      }
+    },
+    plugins: [backgroundColorPlugin(theme.background)]
+  };
+}
+
+function generateHourlyChartConfigPie(title, labels, data, colors, theme = chartThemes.blue) {
+  return {
+    type: 'pie',
+    data: {
+      labels: labels,
+      datasets: [{
+        label: title,
+        data: data,
+        backgroundColor: colors,
+        borderColor: theme.border,
+        borderWidth: 2
+      }]
+    },
+    options: {
+      plugins: {
+        legend: { labels: { color: theme.text } },
+        datalabels: {
+          color: '#fff',
+          font: { weight: 'bold' },
+          formatter: function(value, context) {
+            // Only show label if slice is at least 5% of total
+            const total = context.dataset.data.reduce((a, b) => a + b, 0);
+            const percent = value / total;
+            return percent > 0.05 ? context.chart.data.labels[context.dataIndex] : '';
+          }
+        },
+        title: {
+          display: true,
+          text: title,
+          color: theme.text,
+          font: { size: 22 }
+        }
+      }
+    },
+    plugins: [backgroundColorPlugin(theme.background)]
+  };
+}
+
+module.exports = { chartThemes, buildChartConfig, bollingerBands };
@@ -0,0 +1,97 @@
+// A pool of chart workers (see chartWorker.js). Renders are queued until a worker is free.
+// A worker that crashes or hangs is replaced, and only the render it was working on fails
+
+const { Worker } = require('worker_threads');
+
+class ChartPool {
+  /**
+   * Makes the pool. The workers are only started by the first render, so a server that never draws a chart never starts them
+   * @param {number} size - how many workers render at the same time
+   * @param {number} timeoutMs - how long a render can take before its worker is replaced
+   */
+  constructor(size, timeoutMs) {
+    this.size = size;
+    this.timeoutMs = timeoutMs;
+    this.queue = []; // Renders waiting for a worker: { id, job, resolve, reject }
+    this.workers = []; // { worker, task, timer, isExited }. task is the render in progress, or null when the worker is free
+    this.nextId = 1;
+    this.isClosed = false;
+  }
+
+  /**
+   * Renders a chart on a worker
+   * @param {{type: string, data: Object, options: Object}} job - chart type, chart data and chart options
+   * @returns {Promise<{buffer: Buffer, seconds: number}>} The chart, and how long drawing it took
+   */
+  render(job) {
+    if (this.isClosed) return Promise.reject(new Error('Chart pool is closed'));
+    while (this.workers.length < this.size) this.workers.push(this.spawn());
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, job, resolve, reject });
+      this.next();
+    });
+  }
+
+  // Stops every worker. Renders that are queued or in progress fail
+  async close() {
+    this.isClosed = true;
+    for (const task of this.queue.splice(0)) task.reject(new Error('Chart pool is closed'));
+    await Promise.all(this.workers.map(slot => {
+      clearTimeout(slot.timer);
+      slot.task?.reject(new Error('Chart pool is closed'));
+      return slot.worker.terminate();
+    }));
+  }
+
+  // Starts a worker, and replaces it if it ever exits
+  spawn() {
+    const slot = { worker: new Worker(`${__dirname}/chartWorker.js`), task: null, timer: null, isExited: false };
+
+    slot.worker.on('message', ({ id, buffer, seconds, error }) => {
+      if (slot.task?.id !== id) return; // The render already timed out
+      const task = slot.task;
+      this.finish(slot);
+      if (error) task.reject(new Error(error));
+      else task.resolve({ buffer: Buffer.from(buffer), seconds });
+    });
+
+    slot.worker.on('error', (exception) => console.error('Chart worker error:', exception));
+
+    // Replaced after a second, so a worker that can't even start doesn't spin the CPU
+    slot.worker.on('exit', () => {
+      clearTimeout(slot.timer);
+      slot.isExited = true;
+      slot.task?.reject(new Error('Chart worker exited'));
+      slot.task = null;
+      if (this.isClosed) return;
+      setTimeout(() => {
+        if (this.isClosed) return;
+        this.workers[this.workers.indexOf(slot)] = this.spawn();
+        this.next();
+      }, 1000).unref();
+    });
+
+    return slot;
+  }
+
+  // Frees a worker, and gives it the next render
+  finish(slot) {
+    clearTimeout(slot.timer);
+    slot.task = null;
+    slot.timer = null;
+    this.next();
+  }
+
+  // Hands queued renders to free workers
+  next() {
+    for (const slot of this.workers) {
+      if (slot.task || slot.isExited || !this.queue.length) continue;
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.timer = setTimeout(() => slot.worker.terminate(), this.timeoutMs); // The exit handler fails the render and replaces the worker
+      slot.worker.postMessage({ id: task.id, ...task.job });
+    }
+  }
+}
+
+module.exports = { ChartPool };
@@ -0,0 +1,40 @@
+// Renders charts on a worker thread, so drawing them never blocks the heartbeats.
+// Gets { id, type, data, options } from chartPool.js, and answers { id, buffer, seconds } or { id, error }
+
+const { parentPort } = require('worker_threads');
+const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
+const ChartDataLabels = require('chartjs-plugin-datalabels');
+const { buildChartConfig } = require('./chartConfigs');
+
+const chartCanvases = new Map(); // A ChartJSNodeCanvas for each size and canvas type, e.g. "800x400" or "800x400svg"
+
+// Gets the canvas for a chart size. The canvases are reused, since making one is slow
+// SVG charts need their own canvas type, and can only be rendered with renderToBufferSync
+function getChartCanvas(width, height, type = undefined) {
+  const key = `${width}x${height}${type || ''}`;
+  if (!chartCanvases.has(key)) {
+    if (chartCanvases.size >= 10) chartCanvases.delete(chartCanvases.keys().next().value); // Forget the oldest size
+    chartCanvases.set(key, new ChartJSNodeCanvas({
+      width,
+      height,
+      type,
+      plugins: {
+        modern: [ChartDataLabels]
+      }
+    }));
+  }
+  return chartCanvases.get(key);
+}
+
+parentPort.on('message', async ({ id, type, data, options }) => {
+  try {
+    const config = buildChartConfig(type, data, options);
+    const renderStart = performance.now();
+    const buffer = (options.format === 'svg')
+      ? getChartCanvas(options.width, options.height, 'svg').renderToBufferSync(config, 'image/svg+xml')
+      : await getChartCanvas(options.width, options.height).renderToBuffer(config);
+    parentPort.postMessage({ id, buffer, seconds: (performance.now() - renderStart) / 1000 });
+  } catch (exception) {
+    parentPort.postMessage({ id, error: exception.message });
+  }
+});
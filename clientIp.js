@@ -0,0 +1,87 @@
+// Finds the IP address of the client behind any reverse proxies.
+// Forwarding headers are only believed when the request came from a trusted proxy, since anyone can send them
+
+const net = require('net');
+
+// Headers a trusted proxy can put the client IP in
+const clientIpHeaders = ['x-forwarded-for', 'cf-connecting-ip', 'x-real-ip', 'x-client-ip'];
+
+/**
+ * Parses the trusted proxy list, e.g. "127.0.0.1=cf-connecting-ip,10.0.0.0/8,::1"
+ * Each entry is an IP or CIDR range, and optionally the header that proxy puts the client IP in (default "x-forwarded-for")
+ * @param {string} value - comma separated list of proxies
+ * @returns {{address: string, prefix: number, family: string, header: string}[]} The proxies that could be parsed
+ */
+function parseTrustedProxies(value) {
+  const proxies = [];
+  for (const entry of (value || '').split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const [range, header = 'x-forwarded-for'] = entry.split('=').map(part => part.trim());
+    const [address, prefix] = range.split('/');
+    const family = net.isIP(address);
+    const maxPrefix = (family === 6) ? 128 : 32;
+    const prefixLength = (prefix === undefined) ? maxPrefix : Number(prefix);
+
+    if (!family || !Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > maxPrefix || !clientIpHeaders.includes(header.toLowerCase())) {
+      console.warn('Skipping invalid trusted proxy:', entry);
+      continue;
+    }
+    proxies.push({ address, prefix: prefixLength, family: `ipv${family}`, header: header.toLowerCase() });
+  }
+  return proxies;
+}
+
+/**
+ * Makes a function that finds the client IP of a request
+ * @param {Object[]} proxies - trusted proxies from parseTrustedProxies
+ * @returns {function(Object): string} Gets the client IP of a Fastify request
+ */
+function createClientIpResolver(proxies) {
+  const ranges = proxies.map(proxy => {
+    const blockList = new net.BlockList();
+    blockList.addSubnet(proxy.address, proxy.prefix, proxy.family);
+    return { blockList, header: proxy.header };
+  });
+
+  // The trusted proxy an address belongs to, or undefined if it isn't one
+  const findProxy = (ip) => {
+    const family = `ipv${net.isIP(ip)}`;
+    return ranges.find(range => range.blockList.check(ip, family));
+  };
+
+  return (request) => {
+    const peer = normalizeIp(request.socket?.remoteAddress || request.ip);
+    const proxy = findProxy(peer);
+    if (!proxy) return peer; // A direct connection. Whatever headers it sent are ignored
+
+    const header = request.headers[proxy.header];
+    const value = Array.isArray(header) ? header.join(',') : header;
+    if (!value) return peer;
+
+    // Every header except X-Forwarded-For holds a single IP
+    if (proxy.header !== 'x-forwarded-for') {
+      const ip = normalizeIp(value.trim());
+      return net.isIP(ip) ? ip : peer;
+    }
+
+    // X-Forwarded-For is "client, proxy1, proxy2", and each proxy appends the address it got the request from.
+    // Only the right end can be believed, so walk it from the right until an address isn't a trusted proxy.
+    // The client can put anything at the left end, so an address that isn't an IP stops the walk at the last trusted hop
+    let ip = peer;
+    const hops = value.split(',').map(hop => normalizeIp(hop.trim()));
+    for (let i = hops.length - 1; i >= 0; i--) {
+      if (!net.isIP(hops[i])) break;
+      ip = hops[i];
+      if (!findProxy(ip)) break;
+    }
+    return ip;
+  };
+}
+
+// Strips the IPv6 prefix of an IPv4 address (e.g. "::ffff:127.0.0.1"), so it matches IPv4 ranges
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') return '';
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  return mapped ? mapped[1] : ip;
+}
+
+module.exports = { parseTrustedProxies, createClientIpResolver };
@@ -1,3 +1,4 @@
 const crypto = require('crypto');
 const salt = crypto.randomBytes(32).toString('hex');
-console.log(`Generated salt: ${salt}`);
\ No newline at end of file
+console.log(`Generated salt: ${salt}`);
+console.log('Put it in your .env file as UUID_SALT=<salt>');
\ No newline at end of file
@@ -1,37 +1,74 @@
 const Database = require('better-sqlite3');
-const db = new Database('telemetry.sqlite3');
-
-// Create recent heartbeat table if it doesn't exist
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS heartbeats ( -- Create the table to store recent heartbeats
-    uuid TEXT PRIMARY KEY CHECK (length(uuid) <= 100), -- Unique user identifier
-    version TEXT CHECK (length(version) <= 100), -- Version of Blue Marble
-    browser TEXT CHECK (length(browser) <= 100), -- Browser name
-    os TEXT CHECK (length(os) <= 100), -- OS name
-    lastSeen INTEGER, -- Timestamp of last heartbeat (Unix Timestamp)
-    rollingAvgOnlineUsers INTEGER -- Rolling average of online users
-  )
-`).run();
-
-// Creates totals table for hours if it doesn't exist
-// If the server restarts, the hours won't be spaced evenly
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS totalsHourly ( -- Create the table to store hourly totals
-    hourStart INTEGER PRIMARY KEY, -- Start of the hour (unix timestamp)
-    onlineUsers INTEGER, -- Number of online users in that hour
-    version TEXT, -- JSON string of version totals: {"1.0.0": 10, "1.1.0": 4, ...}
-    browser TEXT, -- JSON string of browser totals: {"Chrome": 10, "Firefox": 7, ...}
-    os TEXT, -- JSON string of OS totals: {"Windows": 1343, "Linux": 1, ...}
-    lastSeen INTEGER -- Timestamp of end of hour (Unix Timestamp)
-  )
-`).run();
-
-// Creates the indexes for lastSeen to make queries faster
-db.prepare(`
-  CREATE INDEX IF NOT EXISTS idx_lastSeen ON heartbeats(lastSeen)
-`).run();
-db.prepare(`
-  CREATE INDEX IF NOT EXISTS idx_lastSeenHourly ON totalsHourly(lastSeen)
-`).run();
-
-module.exports = db;
+const migrations = require('./migrations');
+
+/**
+ * Runs every migration newer than the database, in one transaction.
+ * If any migration fails, none of them are applied.
+ * @param {Database} db - The database to migrate
+ * @param {boolean} dryRun - If true, the migrations are rolled back after they run
+ * @returns {number[]} The versions of the migrations that ran
+ */
+function migrate(db, dryRun = false) {
+  const currentVersion = db.pragma('user_version', { simple: true });
+  const pending = migrations.filter(migration => migration.version > currentVersion);
+
+  if (pending.length === 0) return [];
+
+  const rollback = new Error('Dry run rollback'); // Thrown to roll the transaction back on a dry run
+
+  try {
+    db.transaction(() => {
+      for (const migration of pending) {
+        console.log(`${dryRun ? '[Dry run] ' : ''}Migrating database to version ${migration.version}: ${migration.description}`);
+        migration.up(db);
+        db.pragma(`user_version = ${migration.version}`);
+      }
+      if (dryRun) throw rollback;
+    })();
+  } catch (exception) {
+    if (exception !== rollback) throw exception;
+  }
+
+  return pending.map(migration => migration.version);
+}
+
+// Make sure the migrations are numbered in order, so none are skipped
+migrations.forEach((migration, index) => {
+  if (migration.version !== index + 1) throw new Error(`Migration ${index + 1} has version ${migration.version}`);
+});
+
+/**
+ * Opens a database, and migrates it to the latest version.
+ * The server can't run on a database it doesn't understand, so a failed migration throws
+ * @param {string} [path] - SQLite file, or ":memory:" for a database that is gone once closed
+ * @returns {Database} The migrated database
+ */
+function openDatabase(path = process.env.DATABASE_PATH || 'telemetry.sqlite3') {
+  const db = new Database(path);
+  try {
+    migrate(db);
+  } catch (exception) {
+    console.error('Database migration failed! Nothing was changed:', exception);
+    db.close();
+    throw exception;
+  }
+  return db;
+}
+
+/**
+ * Runs the migrations a database needs, then rolls them back, to check they would work before deploying them
+ * @param {string} [path] - SQLite file
+ * @returns {number[]} The versions of the migrations that would be applied
+ */
+function dryRunMigrations(path = process.env.DATABASE_PATH || 'telemetry.sqlite3') {
+  const db = new Database(path);
+  try {
+    const versions = migrate(db, true);
+    console.log(versions.length ? `[Dry run] ${versions.length} migration${versions.length == 1 ? '' : 's'} would be applied. Nothing was changed.` : '[Dry run] The database is up to date.');
+    return versions;
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { openDatabase, dryRunMigrations, migrate };
@@ -0,0 +1,63 @@
+// HyperLogLog sketches, which estimate how many distinct users there were without remembering who they were.
+// A sketch is a fixed 4 KB of registers. Each register only keeps the longest run of leading zero bits it was given,
+// so there is nothing in it to turn back into a UUID. Two sketches merge into the sketch of both days together
+// https://algo.inria.fr/flajolet/Publications/FlFuGaMe07.pdf
+
+const precision = 12; // 2^12 registers, for a standard error of about 1.6%
+const registerCount = 1 << precision;
+
+// Makes an empty sketch
+function createSketch() {
+  return Buffer.alloc(registerCount);
+}
+
+/**
+ * Adds a hash to a sketch. Adding the same hash again changes nothing
+ * @param {Buffer} sketch - the sketch to add to
+ * @param {Buffer} hash - at least 8 bytes of a uniformly distributed hash
+ */
+function addToSketch(sketch, hash) {
+  // The first bits of the hash pick the register, and the rest are counted up to the first 1 bit
+  const index = (hash[0] << 4) | (hash[1] >> 4);
+  let rank = 1;
+  for (let bit = precision; (bit < 64) && !(hash[bit >> 3] & (0x80 >> (bit & 7))); bit++) rank++;
+  if (rank > sketch[index]) sketch[index] = rank;
+}
+
+/**
+ * Merges sketches into a new one, which counts everyone in any of them once
+ * @param {Buffer[]} sketches - the sketches to merge
+ * @returns {Buffer} The merged sketch
+ */
+function mergeSketches(sketches) {
+  const merged = createSketch();
+  for (const sketch of sketches) {
+    for (let i = 0; i < registerCount; i++) {
+      if (sketch[i] > merged[i]) merged[i] = sketch[i];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Estimates how many distinct hashes were added to a sketch
+ * @param {Buffer} sketch - the sketch
+ * @returns {number} The estimated count
+ */
+function estimateCardinality(sketch) {
+  let sum = 0;
+  let zeros = 0;
+  for (const register of sketch) {
+    sum += 2 ** -register;
+    if (register === 0) zeros++;
+  }
+
+  const alpha = 0.7213 / (1 + 1.079 / registerCount);
+  const estimate = alpha * registerCount * registerCount / sum;
+
+  // Small counts leave registers empty, and counting those is more accurate
+  if ((estimate <= 2.5 * registerCount) && zeros) return Math.round(registerCount * Math.log(registerCount / zeros));
+  return Math.round(estimate);
+}
+
+module.exports = { createSketch, addToSketch, mergeSketches, estimateCardinality };
@@ -0,0 +1,114 @@
+// Prometheus metrics, written in the text exposition format
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+// Labels are only ever low-cardinality values (status codes, chart types). Never anything about a user
+
+/**
+ * Creates a registry. Each server has its own, so two servers in one process never mix their metrics
+ * @returns {{counter: Function, gauge: Function, histogram: Function, renderMetrics: Function}}
+ */
+function createRegistry() {
+  const registry = []; // Every metric, in the order they were created
+
+  /**
+   * Creates a counter. Counters only go up.
+   * A counter without labels is 0 from the start, so Prometheus sees it before the first increment
+   * @param {string} name - metric name (e.g. "telemetry_heartbeats_total")
+   * @param {string} help - description shown by Prometheus
+   * @param {string[]} [labelNames] - the labels every increment has, if any (e.g. ["status"])
+   * @returns {{inc: function(Object=, number=): void}}
+   */
+  function counter(name, help, labelNames = []) {
+    const values = new Map(); // Label string -> value
+    if (!labelNames.length) values.set('', 0);
+    registry.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...values].map(([labels, value]) => `${name}${labels} ${value}`)
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = formatLabels(labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      }
+    };
+  }
+
+  /**
+   * Creates a gauge. Gauges are either set, or read from collect() every time they are scraped
+   * @param {string} name - metric name (e.g. "telemetry_write_queue_depth")
+   * @param {string} help - description shown by Prometheus
+   * @param {function(): (?number|Object[])} [collect] - returns the current value, or [{ labels, value }] for a value per label. Null means there is no value yet
+   * @returns {{set: function(number): void}}
+   */
+  function gauge(name, help, collect = undefined) {
+    let value = null;
+    registry.push({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => {
+        const current = collect ? collect() : value;
+        if (Array.isArray(current)) return current.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+        return (current === null || current === undefined) ? [] : [`${name} ${current}`];
+      }
+    });
+    return {
+      set(newValue) {
+        value = newValue;
+      }
+    };
+  }
+
+  /**
+   * Creates a histogram
+   * @param {string} name - metric name (e.g. "telemetry_chart_render_seconds")
+   * @param {string} help - description shown by Prometheus
+   * @param {number[]} buckets - upper bounds of the buckets, smallest first
+   * @returns {{observe: function(Object, number): void}}
+   */
+  function histogram(name, help, buckets) {
+    const series = new Map(); // Label string -> { labels, counts, sum, count }
+    registry.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bucket, idx) => `${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[idx]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    });
+    return {
+      observe(labels, value) {
+        const key = formatLabels(labels);
+        if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const entry = series.get(key);
+        buckets.forEach((bucket, idx) => { if (value <= bucket) entry.counts[idx]++; });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  // Every metric in the text exposition format
+  function renderMetrics() {
+    return registry.map(({ name, help, type, lines }) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, renderMetrics };
+}
+
+// Formats labels as {a="1",b="2"}, or nothing if there are none
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,297 @@
+// Every change to the database schema, in order.
+// The version of the database is stored in PRAGMA user_version, and only migrations with a higher version run.
+// Never edit a migration that has been released. Add a new one instead.
+// Migrations must work on databases made before migrations existed, so they check before they change anything.
+
+// Does the table have this column?
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+}
+
+module.exports = [
+  {
+    version: 1,
+    description: 'Create the heartbeats and totalsHourly tables',
+    up: (db) => {
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS heartbeats ( -- Create the table to store recent heartbeats
+          uuid TEXT PRIMARY KEY CHECK (length(uuid) <= 100), -- Unique user identifier
+          version TEXT CHECK (length(version) <= 100), -- Version of Blue Marble
+          browser TEXT CHECK (length(browser) <= 100), -- Browser name
+          os TEXT CHECK (length(os) <= 100), -- OS name
+          lastSeen INTEGER, -- Timestamp of last heartbeat (Unix Timestamp)
+          rollingAvgOnlineUsers INTEGER -- Rolling average of online users
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS totalsHourly ( -- Create the table to store hourly totals
+          hourStart INTEGER PRIMARY KEY, -- Start of the hour (unix timestamp)
+          onlineUsers INTEGER, -- Number of online users in that hour
+          version TEXT, -- JSON string of version totals: {"1.0.0": 10, "1.1.0": 4, ...}
+          browser TEXT, -- JSON string of browser totals: {"Chrome": 10, "Firefox": 7, ...}
+          os TEXT, -- JSON string of OS totals: {"Windows": 1343, "Linux": 1, ...}
+          lastSeen INTEGER -- Timestamp of end of hour (Unix Timestamp)
+        )
+      `).run();
+
+      // Creates the indexes for lastSeen to make queries faster
+      db.prepare('CREATE INDEX IF NOT EXISTS idx_lastSeen ON heartbeats(lastSeen)').run();
+      db.prepare('CREATE INDEX IF NOT EXISTS idx_lastSeenHourly ON totalsHourly(lastSeen)').run();
+    }
+  },
+  {
+    version: 2,
+    description: 'Create the totalsDaily, totalsWeekly and totalsMonthly rollup tables',
+    up: (db) => {
+      // These are rolled up from totalsHourly. onlineUsers is the average per hour, and the version/browser/OS totals are summed across the hours
+      for (const [table, intervalStartCol] of [['totalsDaily', 'dayStart'], ['totalsWeekly', 'weekStart'], ['totalsMonthly', 'monthStart']]) {
+        db.prepare(`
+          CREATE TABLE IF NOT EXISTS ${table} ( -- Create the table to store rolled up totals
+            ${intervalStartCol} INTEGER PRIMARY KEY, -- Start of the interval (unix timestamp)
+            onlineUsers INTEGER, -- Average number of online users per hour in that interval
+            peakOnlineUsers INTEGER, -- Highest number of online users in a single hour of that interval
+            hours INTEGER, -- Number of hourly rows that were rolled up
+            version TEXT, -- JSON string of version totals: {"1.0.0": 240, "1.1.0": 96, ...}
+            browser TEXT, -- JSON string of browser totals: {"Chrome": 240, "Firefox": 168, ...}
+            os TEXT, -- JSON string of OS totals: {"Windows": 32232, "Linux": 24, ...}
+            lastSeen INTEGER -- Timestamp of end of interval (Unix Timestamp)
+          )
+        `).run();
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Create the deletionRequests audit table',
+    up: (db) => {
+      // The UUID is never stored here. Only the receipt, and how much was deleted.
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS deletionRequests ( -- Create the table to store data deletion receipts
+          receipt TEXT PRIMARY KEY, -- Random receipt ID given to the user
+          requestedAt INTEGER, -- Timestamp of the request (Unix Timestamp)
+          heartbeatsDeleted INTEGER, -- Number of rows deleted from heartbeats
+          queuedDeleted INTEGER -- Number of heartbeats removed from the write queue before they were written
+        )
+      `).run();
+    }
+  },
+  {
+    version: 4,
+    description: 'Create the checkpoints table',
+    up: (db) => {
+      // This is how the server remembers what was aggregated across restarts
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS checkpoints ( -- Create the table to store checkpoints
+          name TEXT PRIMARY KEY, -- Name of the checkpoint (e.g. "aggregatedUntil")
+          value INTEGER -- Value of the checkpoint (usually a Unix Timestamp)
+        )
+      `).run();
+    }
+  },
+  {
+    version: 5,
+    description: 'Add the gap column to totalsHourly',
+    up: (db) => {
+      // 1 if the server was down for the whole hour. onlineUsers is NULL for gaps
+      if (!hasColumn(db, 'totalsHourly', 'gap')) {
+        db.prepare('ALTER TABLE totalsHourly ADD COLUMN gap INTEGER NOT NULL DEFAULT 0').run();
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Move rollingAvgOnlineUsers from heartbeats to totalsHourly',
+    up: (db) => {
+      // The hourly job updates the rolling average of each hour, which only makes sense on the totals
+      if (!hasColumn(db, 'totalsHourly', 'rollingAvgOnlineUsers')) {
+        db.prepare('ALTER TABLE totalsHourly ADD COLUMN rollingAvgOnlineUsers INTEGER').run(); // Rolling 24h average of online users
+      }
+      if (hasColumn(db, 'heartbeats', 'rollingAvgOnlineUsers')) {
+        db.prepare('ALTER TABLE heartbeats DROP COLUMN rollingAvgOnlineUsers').run();
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Create the releases registry table',
+    up: (db) => {
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS releases ( -- Create the table to store every release of Blue Marble
+          version TEXT PRIMARY KEY CHECK (length(version) <= 100), -- Version of Blue Marble (e.g. "0.83.0")
+          releasedAt INTEGER NOT NULL -- Timestamp of the release (Unix Timestamp)
+        )
+      `).run();
+    }
+  },
+  {
+    version: 8,
+    description: 'Add the browserVersion and engine columns from User-Agent parsing',
+    up: (db) => {
+      for (const table of ['heartbeats', 'totalsHourly', 'totalsDaily', 'totalsWeekly', 'totalsMonthly']) {
+        // In heartbeats, these are e.g. "Chrome 126" and "Blink". In the totals, they are JSON strings like the other dimensions
+        if (!hasColumn(db, table, 'browserVersion')) db.prepare(`ALTER TABLE ${table} ADD COLUMN browserVersion TEXT`).run();
+        if (!hasColumn(db, table, 'engine')) db.prepare(`ALTER TABLE ${table} ADD COLUMN engine TEXT`).run();
+      }
+    }
+  },
+  {
+    version: 9,
+    description: 'Create the adminAudit table',
+    up: (db) => {
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS adminAudit ( -- Create the table to store every action taken through the admin endpoints
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          performedAt INTEGER NOT NULL, -- When the action was taken (Unix Timestamp)
+          action TEXT NOT NULL, -- What was done (e.g. "deleteHour")
+          params TEXT, -- JSON of what the action was given
+          result TEXT -- JSON of what the action changed
+        )
+      `).run();
+    }
+  },
+  {
+    version: 10,
+    description: 'Partition heartbeats, totals and releases by application',
+    up: (db) => {
+      // SQLite can't change a primary key, so each table is made again with the app in its key, and the rows are copied over.
+      // Everything stored before this belongs to Blue Marble
+      const tables = {
+        heartbeats: `
+          app TEXT NOT NULL DEFAULT 'bluemarble' CHECK (length(app) <= 100), -- Application the heartbeat is from
+          uuid TEXT NOT NULL CHECK (length(uuid) <= 100), -- Unique user identifier
+          version TEXT CHECK (length(version) <= 100), -- Version of the application
+          browser TEXT CHECK (length(browser) <= 100), -- Browser name
+          os TEXT CHECK (length(os) <= 100), -- OS name
+          browserVersion TEXT, -- Browser name and major version
+          engine TEXT, -- Browser engine
+          lastSeen INTEGER, -- Timestamp of last heartbeat (Unix Timestamp)
+          PRIMARY KEY (app, uuid)`,
+        totalsHourly: `
+          app TEXT NOT NULL DEFAULT 'bluemarble', -- Application the totals are of
+          hourStart INTEGER NOT NULL, -- Start of the hour (unix timestamp)
+          onlineUsers INTEGER, -- Number of online users in that hour
+          version TEXT, -- JSON string of version totals: {"1.0.0": 10, "1.1.0": 4, ...}
+          browser TEXT, -- JSON string of browser totals: {"Chrome": 10, "Firefox": 7, ...}
+          os TEXT, -- JSON string of OS totals: {"Windows": 1343, "Linux": 1, ...}
+          browserVersion TEXT, -- JSON string of browser version totals
+          engine TEXT, -- JSON string of browser engine totals
+          lastSeen INTEGER, -- Timestamp of end of hour (Unix Timestamp)
+          gap INTEGER NOT NULL DEFAULT 0, -- 1 if the server was down for the whole hour
+          rollingAvgOnlineUsers INTEGER, -- Rolling 24h average of online users
+          PRIMARY KEY (app, hourStart)`,
+        releases: `
+          app TEXT NOT NULL DEFAULT 'bluemarble', -- Application the release is of
+          version TEXT NOT NULL CHECK (length(version) <= 100), -- Version of the application (e.g. "0.83.0")
+          releasedAt INTEGER NOT NULL, -- Timestamp of the release (Unix Timestamp)
+          PRIMARY KEY (app, version)`
+      };
+      for (const [table, intervalStartCol] of [['totalsDaily', 'dayStart'], ['totalsWeekly', 'weekStart'], ['totalsMonthly', 'monthStart']]) {
+        tables[table] = `
+          app TEXT NOT NULL DEFAULT 'bluemarble', -- Application the totals are of
+          ${intervalStartCol} INTEGER NOT NULL, -- Start of the interval (unix timestamp)
+          onlineUsers INTEGER, -- Average number of online users per hour in that interval
+          peakOnlineUsers INTEGER, -- Highest number of online users in a single hour of that interval
+          hours INTEGER, -- Number of hourly rows that were rolled up
+          version TEXT, -- JSON string of version totals: {"1.0.0": 240, "1.1.0": 96, ...}
+          browser TEXT, -- JSON string of browser totals: {"Chrome": 240, "Firefox": 168, ...}
+          os TEXT, -- JSON string of OS totals: {"Windows": 32232, "Linux": 24, ...}
+          browserVersion TEXT, -- JSON string of browser version totals
+          engine TEXT, -- JSON string of browser engine totals
+          lastSeen INTEGER, -- Timestamp of end of interval (Unix Timestamp)
+          PRIMARY KEY (app, ${intervalStartCol})`;
+      }
+
+      for (const [table, columns] of Object.entries(tables)) {
+        if (hasColumn(db, table, 'app')) continue;
+
+        const oldColumns = db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name);
+        db.prepare(`CREATE TABLE ${table}New (${columns}
+        )`).run();
+        db.prepare(`INSERT INTO ${table}New (${oldColumns.join(', ')}) SELECT ${oldColumns.join(', ')} FROM ${table}`).run();
+        db.prepare(`DROP TABLE ${table}`).run();
+        db.prepare(`ALTER TABLE ${table}New RENAME TO ${table}`).run();
+      }
+
+      // The indexes were dropped with the old tables
+      db.prepare('CREATE INDEX IF NOT EXISTS idx_lastSeen ON heartbeats(lastSeen)').run();
+      db.prepare('CREATE INDEX IF NOT EXISTS idx_lastSeenHourly ON totalsHourly(lastSeen)').run();
+    }
+  },
+  {
+    version: 11,
+    description: 'Create the events and totalsEventsHourly tables',
+    up: (db) => {
+      // Raw events are deleted once they are aggregated, the same as heartbeats. There is no UUID, so events can't be linked to a user
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS events ( -- Create the table to store recent events
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          app TEXT NOT NULL CHECK (length(app) <= 100), -- Application the event is from
+          name TEXT NOT NULL CHECK (length(name) <= 100), -- Name of the event, from the allowlist of the app
+          code INTEGER, -- Optional status code (e.g. 404)
+          version TEXT CHECK (length(version) <= 100), -- Version of the application
+          browser TEXT CHECK (length(browser) <= 100), -- Browser name
+          os TEXT CHECK (length(os) <= 100), -- OS name
+          browserVersion TEXT, -- Browser name and major version
+          engine TEXT, -- Browser engine
+          lastSeen INTEGER -- Timestamp of the event (Unix Timestamp)
+        )
+      `).run();
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS totalsEventsHourly ( -- Create the table to store hourly event totals
+          app TEXT NOT NULL, -- Application the events are from
+          hourStart INTEGER NOT NULL, -- Start of the hour (unix timestamp)
+          name TEXT NOT NULL, -- Name of the event
+          count INTEGER, -- Number of events in that hour
+          codes TEXT, -- JSON string of status code totals: {"404": 12, "500": 1}
+          version TEXT, -- JSON string of version totals
+          browser TEXT, -- JSON string of browser totals
+          os TEXT, -- JSON string of OS totals
+          browserVersion TEXT, -- JSON string of browser version totals
+          engine TEXT, -- JSON string of browser engine totals
+          lastSeen INTEGER, -- Timestamp of end of hour (Unix Timestamp)
+          PRIMARY KEY (app, hourStart, name)
+        )
+      `).run();
+
+      db.prepare('CREATE INDEX IF NOT EXISTS idx_lastSeenEvents ON events(lastSeen)').run();
+    }
+  },
+  {
+    version: 12,
+    description: 'Add the quarantined column to heartbeats',
+    up: (db) => {
+      // 1 if the heartbeat came from an IP that sent too many UUIDs. Quarantined heartbeats are never aggregated
+      if (!hasColumn(db, 'heartbeats', 'quarantined')) db.prepare('ALTER TABLE heartbeats ADD COLUMN quarantined INTEGER NOT NULL DEFAULT 0').run();
+    }
+  },
+  {
+    version: 13,
+    description: 'Create the totalsOnlineNow table',
+    up: (db) => {
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS totalsOnlineNow ( -- Create the table to store how many users were online, every few minutes
+          app TEXT NOT NULL, -- Application the users are from
+          bucketStart INTEGER NOT NULL, -- When the users were counted (unix timestamp)
+          onlineUsers INTEGER, -- Users who sent a heartbeat within the delivery interval before bucketStart
+          PRIMARY KEY (app, bucketStart)
+        )
+      `).run();
+    }
+  },
+  {
+    version: 14,
+    description: 'Create the sketchesDaily table',
+    up: (db) => {
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS sketchesDaily ( -- Create the table to store a distinct user sketch of every day
+          app TEXT NOT NULL, -- Application the users are from
+          dayStart INTEGER NOT NULL, -- Start of the day (unix timestamp)
+          registers BLOB NOT NULL, -- HyperLogLog registers. Nothing in them can be turned back into a UUID
+          PRIMARY KEY (app, dayStart)
+        )
+      `).run();
+    }
+  }
+];
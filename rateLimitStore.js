@@ -0,0 +1,90 @@
+// A store for @fastify/rate-limit that keeps its counts where the admin endpoints can see and reset them
+// The built-in store hides its counts, so a banned IP could only be unbanned by restarting the server
+
+/**
+ * Creates a store class and the functions that see into it. Each server has its own, so two servers in one process never share counts
+ * @param {function(): number} [clock] - returns the current time (Unix timestamp in ms)
+ * @returns {{RateLimitStore: Function, getRateLimited: Function, resetRateLimit: Function}}
+ */
+function createRateLimitStore(clock = Date.now) {
+  const stores = new Set(); // Every store, including the one each route with its own rate limit gets
+
+  class RateLimitStore {
+    /**
+     * Made by @fastify/rate-limit with the plugin (or route) settings
+     * @param {Object} params - rate limit settings
+     * @param {string} [route] - the route this store limits, or "global"
+     */
+    constructor(params, route = 'global') {
+      this.route = route;
+      this.ban = params.ban ?? -1; // How many requests over the limit before the key is banned. -1 never bans
+      this.maxKeys = params.cache || 5000; // The least recently seen keys are forgotten past this
+      this.entries = new Map(); // Key (IP) -> { current, startedAt, timeWindow, max }. Least recently seen first
+      stores.add(this);
+    }
+
+    // Counts a request of a key. Called by @fastify/rate-limit
+    incr(key, callback, timeWindow, max) {
+      const now = clock();
+
+      let entry = this.entries.get(key);
+      if (!entry || (entry.startedAt + timeWindow <= now)) entry = { current: 0, startedAt: now }; // New or expired
+      entry.current++;
+      entry.timeWindow = timeWindow;
+      entry.max = max;
+
+      // Move the key to the end, so the first key is always the least recently seen
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      if (this.entries.size > this.maxKeys) this.entries.delete(this.entries.keys().next().value);
+
+      callback(null, { current: entry.current, ttl: entry.startedAt + timeWindow - now });
+    }
+
+    // Makes the store of a route with its own rate limit, or of a limit made with fastify.rateLimit({ route, ... }). Called by @fastify/rate-limit
+    child(routeParams) {
+      const { method, url } = routeParams.routeInfo;
+      return new RateLimitStore(routeParams, routeParams.route ?? `${method} ${url}`);
+    }
+  }
+
+  /**
+   * Every key that is over its limit in any store
+   * @param {number} now - current time (Unix timestamp in ms)
+   * @returns {Object[]} { key, route, requests, max, resetsAt, isBanned }, the most requests first
+   */
+  function getRateLimited(now = clock()) {
+    const limited = [];
+    for (const store of stores) {
+      for (const [key, entry] of store.entries) {
+        if ((entry.startedAt + entry.timeWindow <= now) || (entry.current <= entry.max)) continue; // Expired, or still within the limit
+        limited.push({
+          key,
+          route: store.route,
+          requests: entry.current,
+          max: entry.max,
+          resetsAt: entry.startedAt + entry.timeWindow,
+          isBanned: (store.ban !== -1) && (entry.current - entry.max > store.ban)
+        });
+      }
+    }
+    return limited.sort((a, b) => b.requests - a.requests);
+  }
+
+  /**
+   * Forgets every count of a key, which lifts its limit and ban on every route
+   * @param {string} key - the rate limit key (IP)
+   * @returns {number} how many stores had the key
+   */
+  function resetRateLimit(key) {
+    let removed = 0;
+    for (const store of stores) {
+      if (store.entries.delete(key)) removed++;
+    }
+    return removed;
+  }
+
+  return { RateLimitStore, getRateLimited, resetRateLimit };
+}
+
+module.exports = { createRateLimitStore };
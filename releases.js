@@ -0,0 +1,161 @@
+// Semver-aware version sorting, and the adoption metrics of each release
+
+const hourMs = 60 * 60 * 1000; // One hour in milliseconds
+
+/**
+ * Parses a version string like "0.83.0", "v1.2.3" or "1.0.0-beta.1"
+ * @param {string} version - The version to parse
+ * @returns {{major: number, minor: number, patch: number, prerelease: string[]}|null} null if it isn't semver
+ */
+function parseVersion(version) {
+  const match = /^v?(\d+)\.(\d+)(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(version).trim());
+  if (!match) return null;
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3] || '0', 10),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compares two versions the way semver does. Versions that aren't semver sort before every semver version.
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} negative if a is older, positive if a is newer, 0 if they are the same
+ */
+function compareVersions(a, b) {
+  const versionA = parseVersion(a);
+  const versionB = parseVersion(b);
+
+  if (!versionA || !versionB) {
+    if (versionA) return 1;
+    if (versionB) return -1;
+    return String(a).localeCompare(String(b));
+  }
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (versionA[key] !== versionB[key]) return versionA[key] - versionB[key];
+  }
+
+  // A prerelease is older than its release (1.0.0-beta < 1.0.0)
+  if (!versionA.prerelease.length || !versionB.prerelease.length) {
+    return versionB.prerelease.length - versionA.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(versionA.prerelease.length, versionB.prerelease.length); i++) {
+    const partA = versionA.prerelease[i];
+    const partB = versionB.prerelease[i];
+    if (partA === undefined) return -1;
+    if (partB === undefined) return 1;
+    if (partA === partB) continue;
+    const isNumberA = /^\d+$/.test(partA);
+    const isNumberB = /^\d+$/.test(partB);
+    if (isNumberA && isNumberB) return parseInt(partA, 10) - parseInt(partB, 10);
+    if (isNumberA !== isNumberB) return isNumberA ? -1 : 1; // Numbers are older than words
+    return partA.localeCompare(partB);
+  }
+  return 0;
+}
+
+// The group a version belongs to (e.g. "0.83" for "0.83.2"), or the version itself if it isn't semver
+function versionGroup(version) {
+  const parsed = parseVersion(version);
+  return parsed ? `${parsed.major}.${parsed.minor}` : version;
+}
+
+/**
+ * Sorts version totals newest first, and groups them by major.minor
+ * @param {Object<string, number>} versionTotals - E.g. {"0.83.0": 10, "0.82.1": 4}
+ * @returns {{versions: {version: string, group: string, users: number}[], groups: {group: string, users: number}[]}}
+ */
+function groupVersionTotals(versionTotals) {
+  const versions = Object.keys(versionTotals)
+    .sort((a, b) => compareVersions(b, a))
+    .map(version => ({ version, group: versionGroup(version), users: versionTotals[version] }));
+
+  const groups = [];
+  for (const { group, users } of versions) {
+    const last = groups[groups.length - 1];
+    if (last && last.group === group) last.users += users;
+    else groups.push({ group, users });
+  }
+
+  return { versions, groups };
+}
+
+/**
+ * Calculates how a release was adopted, hour by hour
+ * @param {{version: string, releasedAt: number}} release - The release
+ * @param {{hourStart: number, version: Object<string, number>}[]} hours - Version totals of each hour, oldest first
+ * @param {number} [minGroupSize] - a count is only published if it, and the rest of its hour, are 0 or at least this many users. The same goes for the share made from it
+ * @returns {Object} The share of every hour since the release, and how long it took to reach 50% and 90%
+ */
+function computeAdoption(release, hours, minGroupSize = 0) {
+  const share = [];
+  let hoursTo50 = null;
+  let hoursTo90 = null;
+
+  // If the hours start after the release, there is no telling how long the adoption took
+  const hasFullHistory = (hours.length > 0) && (hours[0].hourStart <= release.releasedAt);
+
+  for (const hour of hours) {
+    if ((hour.hourStart + hourMs) <= release.releasedAt) continue; // The hour ended before the release
+
+    let total = 0;
+    let users = 0;
+    let atLeastUsers = 0; // Users on this release or anything newer
+    for (const [version, count] of Object.entries(hour.version)) {
+      total += count;
+      if (version === release.version) users += count;
+      if (parseVersion(version) && (compareVersions(version, release.version) >= 0)) atLeastUsers += count;
+    }
+    if (!total) continue;
+
+    const atLeastShare = atLeastUsers / total;
+    const hoursSinceRelease = Math.round(((hour.hourStart + hourMs - release.releasedAt) / hourMs) * 10) / 10; // Until the end of this hour
+    if (hasFullHistory && (hoursTo50 === null) && (atLeastShare >= 0.5)) hoursTo50 = hoursSinceRelease;
+    if (hasFullHistory && (hoursTo90 === null) && (atLeastShare >= 0.9)) hoursTo90 = hoursSinceRelease;
+
+    // With the total of the hour published elsewhere, a share gives away its count and the rest of the hour, so both have to be large enough
+    const isPublishable = (count) => [count, total - count].every(group => (group === 0) || (group >= minGroupSize));
+    share.push({
+      hourStart: hour.hourStart,
+      users: isPublishable(users) ? users : null,
+      share: isPublishable(users) ? users / total : null,
+      atLeastShare: isPublishable(atLeastUsers) ? atLeastShare : null
+    });
+  }
+
+  return {
+    share,
+    currentShare: share.length ? share[share.length - 1].share : null,
+    hoursTo50,
+    hoursTo90
+  };
+}
+
+/**
+ * Finds the versions users are still on, even though a newer release came out longer ago than the auto-update window
+ * @param {Object<string, number>} versionTotals - Version totals of the most recent hour
+ * @param {{version: string, releasedAt: number}[]} releases - Every known release
+ * @param {number} now - Current time (Unix timestamp in ms)
+ * @param {number} autoUpdateHours - How long it takes every userscript to auto-update
+ * @returns {{version: string, users: number, supersededBy: string, supersededAt: number}[]} Newest first
+ */
+function findStuckVersions(versionTotals, releases, now, autoUpdateHours) {
+  const pastWindow = releases
+    .filter(release => (release.releasedAt + autoUpdateHours * hourMs) <= now)
+    .sort((a, b) => compareVersions(a.version, b.version));
+
+  const stuck = [];
+  for (const [version, users] of Object.entries(versionTotals)) {
+    if (!parseVersion(version)) continue;
+    // The first release after this version that everyone should have updated to by now
+    const supersededBy = pastWindow.find(release => compareVersions(release.version, version) > 0);
+    if (supersededBy) stuck.push({ version, users, supersededBy: supersededBy.version, supersededAt: supersededBy.releasedAt });
+  }
+
+  return stuck.sort((a, b) => compareVersions(b.version, a.version));
+}
+
+module.exports = { parseVersion, compareVersions, groupVersionTotals, computeAdoption, findStuckVersions };
@@ -1,772 +1,2264 @@
-console.log("Starting node server...");
 require('dotenv').config();
 const fs = require('fs');
+const crypto = require('crypto');
 const Fastify = require('fastify');
 const validator = require('validator');
-const db = require('./database'); // Import the database
+const { openDatabase, dryRunMigrations } = require('./database'); // Import the database
+const { hashUuid, hashUuidRecent, hashUuidForSketch } = require('./uuidHash'); // Import the UUID hashing
+const { parseUserAgent, normalizeName } = require('./userAgent'); // Import the User-Agent parsing
+const { parseVersion, compareVersions, groupVersionTotals, computeAdoption, findStuckVersions } = require('./releases'); // Import the release analytics
+const { createRegistry } = require('./metrics'); // Import the Prometheus metrics
+const { createSketch, addToSketch, mergeSketches, estimateCardinality } = require('./hyperLogLog'); // Import the distinct user sketches
+const { chartThemes, buildChartConfig, bollingerBands } = require('./chartConfigs'); // Import the Chart.js configs
+const { createRateLimitStore } = require('./rateLimitStore'); // Import the rate limit store the admin endpoints can see into
+const { parseTrustedProxies, createClientIpResolver } = require('./clientIp'); // Import the client IP resolution
 const cron = require('node-cron');
 
-const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
-const ChartDataLabels = require('chartjs-plugin-datalabels');
+const { ChartPool } = require('./chartPool'); // Import the chart workers
 
 // Configuration from enviroment variables and their defaults
 const isDebug = process.env.DEBUG === 'true';
 const port = process.env.PORT || 3000;
 const fastifyPort = parseInt(process.env.FASTIFY_PORT, 10) || 3001; // Default to 3001 if not set
-const inputCharLimit = parseInt(process.env.INPUT_CHAR_LIMIT, 10) || 100;
-const intervalDelivery = parseInt(process.env.EXPECTED_DELIVERY_INTERVAL_MINUTES, 10) || 30; // Default to 30 minutes
-
-// Creates fastify with "rules" (hooks, plugins, registers, etc)
-const fastify = Fastify({
-  logger: isDebug ? { level: 'debug' } : false,
-  // https: {
-  //   key: fs.readFileSync(process.env.HTTPS_KEY_PATH || 'certs/privkey.pem'),
-  //   cert: fs.readFileSync(process.env.HTTPS_CERT_PATH || 'certs/fullchain.pem'),
-  // }
-});
-// Register rate limiting to prevent abuse
-// This will limit each IP to 3 requests every 30 minutes
-fastify.register(require('@fastify/rate-limit'), {
-  max: 3, // Max requests per IP
-  timeWindow: `${intervalDelivery} minutes`, // Reset cooldown period
-  bodyLimit: 1000, // Limit the size of the request body to 1000 bytes
-  allowList: [], // Add trusted IPs here if needed
-  ban: 3, // Ban the IP after the 2nd 429 response in the time window
-  keyGenerator: (request) => {
-    const ip = request.headers['x-real-ip'] // nginx
-    || request.headers['x-client-ip'] // apache
-    || request.headers['x-forwarded-for'] // use this only if you trust the header
-    || request.ip // fallback to default
-    return ip;
-  }
-}); // Ban time is in milliseconds, so we have to convert minutes to milliseconds
-// Log when an IP exceeds the rate limit
-fastify.addHook('onSend', async (request, reply, payload) => {
-  if (reply.statusCode === 429) {
-    console.warn(`UUID ${validator.escape(request.body.uuid)} exceeded rate limit`);
-  }
-  return payload;
-});
-
-// Tells processQueue *how* to write/override to the database
-const statement = db.prepare(`
-  INSERT INTO heartbeats (uuid, version, browser, os, lastSeen)
-  VALUES (@uuid, @version, @browser, @os, @lastSeen)
-  ON CONFLICT(uuid) DO UPDATE SET
-    version = excluded.version,
-    browser = excluded.browser,
-    os = excluded.os,
-    lastSeen = excluded.lastSeen
-`);
-
-const writeQueue = []; // A queue of writes to be processed
-let isWriting = false; // Are we currently writing to the database?
-
-// Runs through the write queue and writes to the database
-async function processQueue() {
-
-  // If we are currently writing, or the queue is empty, return early
-  if (isWriting || writeQueue.length === 0) return;
-
-  isWriting = true; // We are now writing whatever is in the queue
-
-  const task = writeQueue.shift(); // pop() but for the first index of the array
-
-  // Attempts to write to the database
-  try {
-    statement.run(task);
-  } catch (exception) {
-    console.error('Database write error:', exception);
-  }
+/**
+ * Builds the telemetry server: the database, the write queue, the scheduled jobs and every route.
+ * Nothing listens yet, so it can be started with fastify.listen(), or tested with fastify.inject().
+ * Every option that isn't given falls back to its environment variable
+ * @param {Object} [options]
+ * @param {string} [options.databasePath] - SQLite file, or ":memory:"
+ * @param {function(): number} [options.clock] - returns the current time (Unix timestamp in ms). Default to Date.now
+ * @param {boolean} [options.cron] - run the scheduled jobs, and generate the charts at startup. Default to true
+ * @param {number} [options.rateLimit] - heartbeats per IP per delivery interval, for apps that don't set their own
+ * @param {number} [options.readRateLimit] - and eventRateLimit, inputCharLimit, apiMaxRangeHours, maxQueueSize, maxUuidsPerIp, minGroupSize, writeBatchSize, writeFlushIntervalMs
+ * @param {string} [options.appsFile] - and releasesFile, adminToken
+ * @returns {Promise<Object>} The Fastify instance. Closing it writes and aggregates everything, then closes the database
+ */
+async function buildServer(options = {}) {
+  const inputCharLimit = options.inputCharLimit ?? (parseInt(process.env.INPUT_CHAR_LIMIT, 10) || 100);
+  const intervalDelivery = parseInt(process.env.EXPECTED_DELIVERY_INTERVAL_MINUTES, 10) || 30; // Default to 30 minutes
+  const apiMaxRangeHours = options.apiMaxRangeHours ?? (parseInt(process.env.API_MAX_RANGE_HOURS, 10) || 24 * 31); // Default to 31 days
+  const retentionHours = Math.max(parseInt(process.env.RETENTION_HOURS, 10) || 24 * 90, 24 * 32); // Default to 90 days. Never less than a month, since the monthly rollup reads from the hourly table
+  const retentionDays = parseInt(process.env.RETENTION_DAYS, 10) || 365 * 2; // Default to 2 years
+  const retentionWeeks = parseInt(process.env.RETENTION_WEEKS, 10) || 52 * 5; // Default to 5 years
+  const onlineNowRetentionHours = parseInt(process.env.ONLINE_NOW_RETENTION_HOURS, 10) || 24 * 7; // Default to 7 days of "online now" buckets
+  const retentionMonths = parseInt(process.env.RETENTION_MONTHS, 10) || 0; // Default to keeping every month
+  const cronDaily = process.env.CRON_DAILY || '5 0 * * *'; // Default to 00:05 every day
+  const cronWeekly = process.env.CRON_WEEKLY || '10 0 * * 1'; // Default to 00:10 every Monday
+  const cronMonthly = process.env.CRON_MONTHLY || '15 0 1 * *'; // Default to 00:15 on the 1st of every month
+  const writeBatchSize = options.writeBatchSize ?? (parseInt(process.env.WRITE_BATCH_SIZE, 10) || 500); // Default to 500 heartbeats per transaction
+  const writeFlushIntervalMs = options.writeFlushIntervalMs ?? (parseInt(process.env.WRITE_FLUSH_INTERVAL_MS, 10) || 100); // Default to flushing every 100ms
+  const maxQueueSize = options.maxQueueSize ?? (parseInt(process.env.MAX_QUEUE_SIZE, 10) || 10000); // Default to 10,000 queued heartbeats before rejecting with 503
+  const releasesFile = options.releasesFile ?? (process.env.RELEASES_FILE || 'releases.json'); // Release registry loaded at startup, if it exists
+  const appsFile = options.appsFile ?? (process.env.APPS_FILE || 'apps.json'); // Applications that can send heartbeats, loaded at startup, if it exists
+  const autoUpdateHours = parseInt(process.env.AUTO_UPDATE_HOURS, 10) || 24; // Default to 24 hours, which is how often the userscript auto-updates
+  const readRateLimit = options.readRateLimit ?? (parseInt(process.env.READ_RATE_LIMIT, 10) || 60); // Default to 60 requests per minute for every endpoint except /heartbeat, /event and /delete
+  const eventRateLimit = options.eventRateLimit ?? (parseInt(process.env.EVENT_RATE_LIMIT, 10) || 10); // Default to 10 events per IP per delivery interval
+  const trustedProxies = parseTrustedProxies(process.env.TRUSTED_PROXIES ?? '127.0.0.1=cf-connecting-ip,::1=cf-connecting-ip'); // Default to the local Cloudflare tunnel
+  const maxUuidsPerIp = options.maxUuidsPerIp ?? (parseInt(process.env.MAX_UUIDS_PER_IP, 10) || 10); // Default to 10 UUIDs per IP per hour before its heartbeats are quarantined
+  const minGroupSize = options.minGroupSize ?? (parseInt(process.env.MIN_GROUP_SIZE, 10) || 25); // Default to 25 users per hour. Smaller groups are only ever published as "Other"
+  const adminToken = options.adminToken ?? (process.env.ADMIN_TOKEN || ''); // Bearer token for the admin endpoints. They are disabled if not set
+  const outageWebhookUrl = process.env.OUTAGE_WEBHOOK_URL || ''; // Discord-style webhook. Outage alerts are disabled if not set
+  const outageCooldownMinutes = parseInt(process.env.OUTAGE_COOLDOWN_MINUTES, 10) || 60; // Default to 60 minutes between alerts
+  const outageMinHours = parseInt(process.env.OUTAGE_MIN_HOURS, 10) || 6; // Default to needing 6 hours of history before alerting
+
+  const db = openDatabase(options.databasePath); // Default to DATABASE_PATH, or telemetry.sqlite3
+  const clock = options.clock ?? Date.now; // Returns the current time (Unix timestamp in ms). Tests can set the time instead of waiting for it
+  const isCronEnabled = options.cron ?? true; // Run the scheduled jobs, and generate the charts at startup
+  const metrics = createRegistry();
+  const { RateLimitStore, getRateLimited, resetRateLimit } = createRateLimitStore(clock);
+
+  const totalsDimensions = ['version', 'browser', 'os', 'browserVersion', 'engine']; // The JSON columns of the totals tables
+
+  // The totals tables, the column that holds the start of each interval, how to find the start of an interval and the next one, and how many rows are kept
+  const totalsIntervals = {
+    hourly: { table: 'totalsHourly', intervalStartCol: 'hourStart', startOf: startOfHour, nextStart: (start) => start + hourMs, maxRows: retentionHours },
+    daily: { table: 'totalsDaily', intervalStartCol: 'dayStart', startOf: startOfDay, nextStart: (start) => startOfDay(start + 36 * hourMs), maxRows: retentionDays },
+    weekly: { table: 'totalsWeekly', intervalStartCol: 'weekStart', startOf: startOfWeek, nextStart: (start) => startOfWeek(start + 8 * 24 * hourMs), maxRows: retentionWeeks },
+    monthly: { table: 'totalsMonthly', intervalStartCol: 'monthStart', startOf: startOfMonth, nextStart: (start) => startOfMonth(start + 32 * 24 * hourMs), maxRows: retentionMonths }
+  };
 
-  isWriting = false; // We are done writing
-}
+  // Every application is counted separately. Heartbeats without an app are from Blue Marble
+  const defaultAppId = 'bluemarble';
+  const defaultAppConfig = {
+    name: 'Blue Marble', // Shown on the dashboard and in alerts
+    allowedVersions: null, // Versions that are accepted, or null for any version
+    rateLimit: options.rateLimit ?? 3, // Heartbeats per IP per delivery interval
+    chartTitle: null, // Title drawn on the charts, or null for no title
+    events: ['templateLoadFailed', 'tileRequestFailed', 'scriptError'] // Event names that /event accepts
+  };
+  const apps = loadAppsFile(appsFile); // App ID -> config
+  const getClientIp = createClientIpResolver(trustedProxies);
+
+  // Creates fastify with "rules" (hooks, plugins, registers, etc)
+  const fastify = Fastify({
+    logger: isDebug ? { level: 'debug' } : false,
+    // https: {
+    //   key: fs.readFileSync(process.env.HTTPS_KEY_PATH || 'certs/privkey.pem'),
+    //   cert: fs.readFileSync(process.env.HTTPS_CERT_PATH || 'certs/fullchain.pem'),
+    // }
+  });
+  // Register rate limiting to prevent abuse
+  // This will limit each IP to 3 requests every 30 minutes
+  // It is awaited, since the plugin only limits the routes that are declared after it is loaded
+  await fastify.register(require('@fastify/rate-limit'), {
+    max: (request) => apps.get(request.body?.app ?? defaultAppId)?.rateLimit ?? defaultAppConfig.rateLimit, // Max requests per IP, set per app
+    timeWindow: `${intervalDelivery} minutes`, // Reset cooldown period
+    bodyLimit: 1000, // Limit the size of the request body to 1000 bytes
+    allowList: [], // Add trusted IPs here if needed
+    ban: 3, // Ban the IP after the 2nd 429 response in the time window
+    store: RateLimitStore, // So the admin endpoints can see and lift limits
+    hook: 'preHandler', // After the body is parsed, so the limit can depend on the app
+    keyGenerator: (request) => {
+      const ip = getClientIp(request); // Forwarding headers only count when a trusted proxy sent them
+      // Each app has its own limit, so heartbeats of one app don't use up the limit of another
+      const app = request.body?.app;
+      return (apps.has(app) && (app !== defaultAppId)) ? `${ip} ${app}` : ip;
+    }
+  }); // Ban time is in milliseconds, so we have to convert minutes to milliseconds
+  // Log when an IP exceeds the rate limit
+  fastify.addHook('onSend', async (request, reply, payload) => {
+    if (reply.statusCode === 429) {
+      // Never log the raw UUID
+      const uuid = request.body?.uuid;
+      console.warn(`UUID ${(typeof uuid === 'string') ? hashUuid(uuid) : 'unknown'} exceeded rate limit`);
+      metricRateLimited.inc({ route: request.routeOptions.url || 'unknown' });
+    }
+    return payload;
+  });
 
-// Attempt to process the queue every X milliseconds
-// Or in other words, the queue is always being processed, and the queue unblocks the thread every X miliseconds
-setInterval(processQueue, 10);
+  // Count every heartbeat by the status code it was answered with
+  fastify.addHook('onResponse', async (request, reply) => {
+    if (request.routeOptions.url === '/heartbeat') metricHeartbeats.inc({ status: reply.statusCode });
+  });
 
-/**
- * Generic aggregator
- * @param {string} sourceTable - raw table (e.g., 'heartbeats')
- * @param {string} targetTable - totals table (e.g., 'totalsHourly')
- * @param {number} startTime - start of interval (Unix timestamp in ms)
- * @param {number} endTime - end of interval
- * @param {string} intervalStartCol - column name in target table for start timestamp
- */
-function aggregateTotals(sourceTable, targetTable, startTime, endTime, intervalStartCol, maxRows = undefined, wipeSource = true) {
-  // maxRows: maximum number of rows to keep in targetTable (rolling window)
-  // wipeSource: if true, delete source data after aggregation
-
-  const rows = db.prepare(`
-    SELECT version, browser, os
-    FROM ${sourceTable}
-    WHERE lastSeen >= ? AND lastSeen < ?
-  `).all(startTime, endTime);
-
-  if (isDebug) {
-    console.log(`Aggregating from ${sourceTable} to ${targetTable} for interval ${new Date(startTime).toUTCString()} to ${new Date(endTime).toUTCString()}`);
-    console.log(`Found ${rows.length} row${rows.length == 1 ? '' : 's'} to aggregate.`);
-    console.log('Rows:', rows);
-  }
-
-  const versionTotals = {};
-  const browserTotals = {};
-  const osTotals = {};
-  const onlineUsers = rows.length;
-
-  for (const row of rows) {
-    if (row.version) versionTotals[row.version] = (versionTotals[row.version] || 0) + 1;
-    if (row.browser) browserTotals[row.browser] = (browserTotals[row.browser] || 0) + 1;
-    if (row.os) osTotals[row.os] = (osTotals[row.os] || 0) + 1;
-  }
-
-  // Store totals in the target table
-  db.prepare(`
-    INSERT INTO ${targetTable} (${intervalStartCol}, onlineUsers, version, browser, os, lastSeen)
-    VALUES (?, ?, ?, ?, ?, ?)
-    ON CONFLICT(${intervalStartCol}) DO UPDATE SET
-      onlineUsers = excluded.onlineUsers,
+  // Metrics served at /metrics
+  const metricHeartbeats = metrics.counter('telemetry_heartbeats_total', 'Heartbeats received, by response status code', ['status']);
+  const metricRateLimited = metrics.counter('telemetry_rate_limited_total', 'Requests rejected by the rate limiter, by route', ['route']);
+  const metricQuarantined = metrics.counter('telemetry_quarantined_heartbeats_total', 'Heartbeats received from IPs that sent too many UUIDs this hour, by app', ['app']);
+  const metricEvents = metrics.counter('telemetry_events_total', 'Events accepted, by app and event name', ['app', 'name']);
+  const metricWriteErrors = metrics.counter('telemetry_db_write_errors_total', 'Heartbeat writes to the database that failed');
+  const metricChartRenders = metrics.histogram('telemetry_chart_render_seconds', 'How long rendering a chart took, by chart type and format', [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+  const metricLastAggregation = metrics.gauge('telemetry_last_aggregation_timestamp_seconds', 'When aggregateTotals last succeeded (Unix timestamp in seconds)');
+  metrics.gauge('telemetry_write_queue_depth', 'Heartbeats waiting to be written to the database', () => writeQueue.length);
+  metrics.gauge('telemetry_online_now', `Users who sent a heartbeat in the last ${intervalDelivery} minutes, by app`, () => [...apps.keys()].map(app => ({ labels: { app }, value: getOnlineNow(app, clock()) })));
+  metrics.gauge('telemetry_active_users', 'Estimated distinct users in the last day, week (7 days) and month (30 days), by app', () => [...apps.keys()].flatMap(app => {
+    const activeUsers = getActiveUsers(app, clock());
+    return ['daily', 'weekly', 'monthly'].map(window => ({ labels: { app, window }, value: activeUsers[window] }));
+  }));
+  metrics.gauge('telemetry_online_users', 'Distinct users seen so far this hour, by app', () => [...apps.keys()].map(app => ({ labels: { app }, value: getPartialHour(clock(), app).onlineUsers })));
+
+  // Tells processQueue *how* to write/override to the database
+  const statement = db.prepare(`
+    INSERT INTO heartbeats (app, uuid, version, browser, os, browserVersion, engine, lastSeen, quarantined)
+    VALUES (@app, @uuid, @version, @browser, @os, @browserVersion, @engine, @lastSeen, @quarantined)
+    ON CONFLICT(app, uuid) DO UPDATE SET
       version = excluded.version,
       browser = excluded.browser,
       os = excluded.os,
-      lastSeen = excluded.lastSeen
-  `).run(
-    startTime,
-    onlineUsers,
-    JSON.stringify(versionTotals),
-    JSON.stringify(browserTotals),
-    JSON.stringify(osTotals),
-    endTime
-  );
-
-  // Rolling window: keep only maxRows most recent rows
-  if (maxRows) { // Only apply the maximum row limit when maxRows is truthy
-    const count = db.prepare(`SELECT COUNT(*) as cnt FROM ${targetTable}`).get().cnt;
-    if (count > maxRows) {
+      browserVersion = excluded.browserVersion,
+      engine = excluded.engine,
+      lastSeen = excluded.lastSeen,
+      quarantined = CASE WHEN lastSeen >= @hourStart THEN MAX(quarantined, excluded.quarantined) ELSE excluded.quarantined END -- A quarantine only lasts until the end of its hour
+  `);
+
+  // Tells processQueue how to write an event
+  const eventStatement = db.prepare(`
+    INSERT INTO events (app, name, code, version, browser, os, browserVersion, engine, lastSeen)
+    VALUES (@app, @name, @code, @version, @browser, @os, @browserVersion, @engine, @lastSeen)
+  `);
+
+  // Writes a whole batch in one transaction. If any write fails, the entire batch is rolled back
+  const writeBatch = db.transaction((tasks) => {
+    for (const task of tasks) writeTask(task);
+  });
+
+  // Writes one heartbeat or event
+  function writeTask(task) {
+    if (task.type === 'event') {
+      eventStatement.run(task);
+    } else {
+      statement.run({ ...task, hourStart: startOfHour(task.lastSeen) });
+    }
+  }
+
+  const writeQueue = []; // A queue of writes (heartbeats and events) to be processed
+  let isWriting = false; // Are we currently writing to the database?
+  let isShuttingDown = false; // Are we shutting down? If so, no more heartbeats are accepted
+
+  // Statistics about the write queue
+  const queueStats = {
+    lastFlushAt: null, // When the last batch was written (Unix timestamp in ms)
+    lastFlushSize: 0, // How many heartbeats were taken from the queue in the last batch
+    lastFlushWrites: 0, // How many rows were written in the last batch, after coalescing
+    lastFlushLatencyMs: 0, // How long the last batch took to write
+    maxFlushLatencyMs: 0 // The slowest batch since the server started
+  };
+
+  // Runs through the write queue and writes to the database
+  function processQueue() {
+
+    // If we are currently writing, or the queue is empty, return early
+    if (isWriting || writeQueue.length === 0) return;
+
+    isWriting = true; // We are now writing whatever is in the queue
+
+    const batch = writeQueue.splice(0, writeBatchSize); // Takes the oldest heartbeats from the queue
+
+    // Coalesce duplicate UUIDs. Every heartbeat of a UUID overrides the same row of its app, so only the latest one matters
+    // Events are never coalesced, since every event counts
+    const latestTasks = new Map();
+    for (const [idx, task] of batch.entries()) {
+      const key = (task.type === 'event') ? `event ${idx}` : `${task.app} ${task.uuid}`;
+      const previous = latestTasks.get(key);
+      if (previous?.quarantined && (startOfHour(previous.lastSeen) === startOfHour(task.lastSeen))) task.quarantined = 1; // A quarantined UUID stays quarantined for the hour
+      latestTasks.set(key, task);
+    }
+
+    // Attempts to write to the database
+    const flushStart = performance.now();
+    try {
+      writeBatch([...latestTasks.values()]);
+    } catch (exception) {
+      console.error('Database write error:', exception);
+      metricWriteErrors.inc();
+
+      // The whole batch was rolled back, so write them one at a time. Only the bad heartbeats are lost
+      for (const task of latestTasks.values()) {
+        try {
+          writeTask(task);
+        } catch (taskException) {
+          console.error('Database write error:', taskException);
+          metricWriteErrors.inc();
+        }
+      }
+    }
+
+    const flushLatencyMs = performance.now() - flushStart;
+    queueStats.lastFlushAt = clock();
+    queueStats.lastFlushSize = batch.length;
+    queueStats.lastFlushWrites = latestTasks.size;
+    queueStats.lastFlushLatencyMs = flushLatencyMs;
+    queueStats.maxFlushLatencyMs = Math.max(queueStats.maxFlushLatencyMs, flushLatencyMs);
+
+    isWriting = false; // We are done writing
+  }
+
+  // Attempt to process the queue every X milliseconds
+  // Each tick writes up to writeBatchSize heartbeats, so the thread is only blocked for one transaction at a time
+  const queueInterval = setInterval(processQueue, writeFlushIntervalMs);
+
+  // Writes everything left in the queue, one batch after another
+  function drainQueue() {
+    while (writeQueue.length > 0) processQueue();
+  }
+
+  // The UUIDs each IP sent this hour, to catch IPs that make up UUIDs to inflate the online users.
+  // IPs are hashed like UUIDs, and are forgotten when the hour is over
+  const uuidsPerIp = new Map(); // "app hashedIp" -> { hourStart, uuids, isQuarantined }. Least recently seen first
+  const maxTrackedIps = 10000; // The least recently seen IPs are forgotten past this
+
+  /**
+   * Records that an IP sent a heartbeat with a UUID.
+   * This runs before the rate limit, so the UUIDs of heartbeats that were limited count too.
+   * Once an IP sent more than maxUuidsPerIp UUIDs in an hour, every heartbeat it sent that hour is quarantined, so aggregation skips them
+   * @param {string} app - app ID
+   * @param {string} ip - client IP
+   * @param {string} uuid - hashed UUID
+   * @param {number} now - current time (Unix timestamp in ms)
+   */
+  function trackUuidPerIp(app, ip, uuid, now) {
+    const hourStart = startOfHour(now);
+    const key = `${app} ${hashUuid(ip, now)}`;
+
+    let entry = uuidsPerIp.get(key);
+    if (!entry || (entry.hourStart !== hourStart)) entry = { hourStart, uuids: new Set(), isQuarantined: false }; // New, or from an hour that is over
+
+    // Move the IP to the end, so the first IP is always the least recently seen
+    uuidsPerIp.delete(key);
+    uuidsPerIp.set(key, entry);
+    if (uuidsPerIp.size > maxTrackedIps) uuidsPerIp.delete(uuidsPerIp.keys().next().value);
+
+    if (entry.isQuarantined) return;
+    entry.uuids.add(uuid);
+    if (entry.uuids.size <= maxUuidsPerIp) return;
+
+    // Too many UUIDs. Quarantine what the IP already sent this hour, both written and still queued
+    entry.isQuarantined = true;
+    const uuids = [...entry.uuids];
+    db.prepare(`UPDATE heartbeats SET quarantined = 1 WHERE app = ? AND lastSeen >= ? AND uuid IN (${uuids.map(() => '?').join(', ')})`).run(app, hourStart, ...uuids);
+    for (const task of writeQueue) {
+      if ((task.type !== 'event') && (task.app === app) && (task.lastSeen >= hourStart) && entry.uuids.has(task.uuid)) task.quarantined = 1;
+    }
+    for (const [liveKey, user] of liveUsers) {
+      if ((user.app === app) && entry.uuids.has(user.uuid)) liveUsers.delete(liveKey);
+    }
+    console.warn(`IP ${key.split(' ')[1]} sent more than ${maxUuidsPerIp} UUIDs for ${app} this hour. Its heartbeats are quarantined until the hour is over`);
+  }
+
+  /**
+   * Checks whether the heartbeats of an IP are quarantined this hour
+   * @param {string} app - app ID
+   * @param {string} ip - client IP
+   * @param {number} now - current time (Unix timestamp in ms)
+   * @returns {boolean} Is the IP quarantined?
+   */
+  function isIpQuarantined(app, ip, now) {
+    const entry = uuidsPerIp.get(`${app} ${hashUuid(ip, now)}`);
+    return !!entry && (entry.hourStart === startOfHour(now)) && entry.isQuarantined;
+  }
+
+  /**
+   * Generic aggregator
+   * @param {string} sourceTable - raw table (e.g., 'heartbeats')
+   * @param {string} targetTable - totals table (e.g., 'totalsHourly')
+   * @param {number} startTime - start of interval (Unix timestamp in ms)
+   * @param {number} endTime - end of interval
+   * @param {string} intervalStartCol - column name in target table for start timestamp
+   */
+  function aggregateTotals(sourceTable, targetTable, startTime, endTime, intervalStartCol, maxRows = undefined, wipeSource = true) {
+    // maxRows: maximum number of rows to keep in targetTable (rolling window)
+    // wipeSource: if true, delete source data after aggregation
+
+    // Quarantined heartbeats are never counted, but are wiped with the rest
+    const rows = db.prepare(`
+      SELECT app, ${totalsDimensions.join(', ')}
+      FROM ${sourceTable}
+      WHERE lastSeen >= ? AND lastSeen < ? AND quarantined = 0
+    `).all(startTime, endTime);
+
+    if (isDebug) {
+      console.log(`Aggregating from ${sourceTable} to ${targetTable} for interval ${new Date(startTime).toUTCString()} to ${new Date(endTime).toUTCString()}`);
+      console.log(`Found ${rows.length} row${rows.length == 1 ? '' : 's'} to aggregate.`);
+      console.log('Rows:', rows);
+    }
+
+    // Store totals in the target table, one row per app
+    for (const [app, appRows] of groupRowsByApp(rows)) {
+      const totals = tallyRows(appRows);
+      const onlineUsers = appRows.length;
+
+      db.prepare(`
+        INSERT INTO ${targetTable} (app, ${intervalStartCol}, onlineUsers, ${totalsDimensions.join(', ')}, lastSeen)
+        VALUES (?, ?, ?, ${totalsDimensions.map(() => '?').join(', ')}, ?)
+        ON CONFLICT(app, ${intervalStartCol}) DO UPDATE SET
+          onlineUsers = excluded.onlineUsers,
+          ${totalsDimensions.map(dimension => `${dimension} = excluded.${dimension}`).join(',\n        ')},
+          lastSeen = excluded.lastSeen
+      `).run(
+        app,
+        startTime,
+        onlineUsers,
+        ...totalsDimensions.map(dimension => JSON.stringify(totals[dimension])),
+        endTime
+      );
+    }
+
+    // Rolling window: keep only maxRows most recent rows
+    trimTotals(targetTable, intervalStartCol, maxRows);
+
+    // Optionally delete aggregated raw data
+    if (wipeSource) {
+      db.prepare(`
+        DELETE FROM ${sourceTable}
+        WHERE lastSeen >= ? AND lastSeen < ?
+      `).run(startTime, endTime);
+    }
+
+    metricLastAggregation.set(Math.floor(clock() / 1000));
+  }
+
+  /**
+   * Aggregates the raw events of an interval into totalsEventsHourly, one row per app and event name.
+   * The raw events are deleted afterwards, the same way aggregateTotals does with the heartbeats
+   * @param {number} startTime - start of interval (Unix timestamp in ms)
+   * @param {number} endTime - end of interval
+   * @param {boolean} wipeSource - if true, delete the raw events after aggregation
+   */
+  function aggregateEvents(startTime, endTime, wipeSource = true) {
+    const rows = db.prepare(`
+      SELECT app, name, code, ${totalsDimensions.join(', ')}
+      FROM events
+      WHERE lastSeen >= ? AND lastSeen < ?
+    `).all(startTime, endTime);
+
+    for (const totals of tallyEvents(rows)) {
+      db.prepare(`
+        INSERT INTO totalsEventsHourly (app, hourStart, name, count, codes, ${totalsDimensions.join(', ')}, lastSeen)
+        VALUES (?, ?, ?, ?, ?, ${totalsDimensions.map(() => '?').join(', ')}, ?)
+        ON CONFLICT(app, hourStart, name) DO UPDATE SET
+          count = excluded.count,
+          codes = excluded.codes,
+          ${totalsDimensions.map(dimension => `${dimension} = excluded.${dimension}`).join(',\n        ')},
+          lastSeen = excluded.lastSeen
+      `).run(
+        totals.app,
+        startTime,
+        totals.name,
+        totals.count,
+        totals.codes,
+        ...totalsDimensions.map(dimension => totals[dimension]),
+        endTime
+      );
+    }
+
+    // Event totals are kept as long as the hourly totals
+    db.prepare('DELETE FROM totalsEventsHourly WHERE hourStart < ?').run(startOfHour(endTime) - retentionHours * hourMs);
+
+    if (wipeSource) {
+      db.prepare('DELETE FROM events WHERE lastSeen >= ? AND lastSeen < ?').run(startTime, endTime);
+    }
+  }
+
+  // Counts raw events for each app and event name.
+  // Returns a totalsEventsHourly-shaped row for each: { app, name, count, codes, ...dimensions } (JSON strings)
+  function tallyEvents(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = `${row.app} ${row.name}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    return [...groups.values()].map(groupRows => {
+      const totals = tallyRows(groupRows);
+      const codes = {};
+      for (const row of groupRows) {
+        if (row.code !== null) codes[row.code] = (codes[row.code] || 0) + 1;
+      }
+      return {
+        app: groupRows[0].app,
+        name: groupRows[0].name,
+        count: groupRows.length,
+        codes: JSON.stringify(codes),
+        ...Object.fromEntries(totalsDimensions.map(dimension => [dimension, JSON.stringify(totals[dimension])]))
+      };
+    });
+  }
+
+
+
+
+  /**
+   * Rolls up a totals table into a coarser totals table (e.g., hourly into daily)
+   * @param {string} sourceTable - totals table (e.g., 'totalsHourly')
+   * @param {string} targetTable - coarser totals table (e.g., 'totalsDaily')
+   * @param {number} startTime - start of interval (Unix timestamp in ms)
+   * @param {number} endTime - end of interval
+   * @param {string} sourceIntervalStartCol - column name in source table for start timestamp
+   * @param {string} intervalStartCol - column name in target table for start timestamp
+   */
+  function rollupTotals(sourceTable, targetTable, startTime, endTime, sourceIntervalStartCol, intervalStartCol, maxRows = undefined) {
+    // maxRows: maximum number of rows to keep in targetTable (rolling window)
+    // The source table is never wiped, since it has its own retention
+
+    const rows = db.prepare(`
+      SELECT app, onlineUsers, ${totalsDimensions.join(', ')}
+      FROM ${sourceTable}
+      WHERE ${sourceIntervalStartCol} >= ? AND ${sourceIntervalStartCol} < ?
+    `).all(startTime, endTime);
+
+    if (isDebug) {
+      console.log(`Rolling up ${sourceTable} to ${targetTable} for interval ${new Date(startTime).toUTCString()} to ${new Date(endTime).toUTCString()}`);
+      console.log(`Found ${rows.length} row${rows.length == 1 ? '' : 's'} to roll up.`);
+    }
+
+    // One row per app
+    for (const [app, appRows] of groupRowsByApp(rows)) {
+      const rollup = rollupRows(appRows);
+
+      db.prepare(`
+        INSERT INTO ${targetTable} (app, ${intervalStartCol}, onlineUsers, peakOnlineUsers, hours, ${totalsDimensions.join(', ')}, lastSeen)
+        VALUES (?, ?, ?, ?, ?, ${totalsDimensions.map(() => '?').join(', ')}, ?)
+        ON CONFLICT(app, ${intervalStartCol}) DO UPDATE SET
+          onlineUsers = excluded.onlineUsers,
+          peakOnlineUsers = excluded.peakOnlineUsers,
+          hours = excluded.hours,
+          ${totalsDimensions.map(dimension => `${dimension} = excluded.${dimension}`).join(',\n        ')},
+          lastSeen = excluded.lastSeen
+      `).run(
+        app,
+        startTime,
+        rollup.onlineUsers,
+        rollup.peakOnlineUsers,
+        rollup.hours,
+        ...totalsDimensions.map(dimension => rollup[dimension]),
+        endTime
+      );
+    }
+
+    trimTotals(targetTable, intervalStartCol, maxRows);
+  }
+
+  /**
+   * Combines totals rows into one row, the same way for the rollup tables and for the charts
+   * @param {Object[]} rows - totals rows, with onlineUsers and every dimension (JSON strings)
+   * @returns {Object} row with onlineUsers, peakOnlineUsers, hours and every dimension (JSON strings)
+   */
+  function rollupRows(rows) {
+    // The version/browser/OS/etc. totals are summed, so they count user-hours, like the pie charts do.
+    // onlineUsers is the average online users per hour, since summing hours would count the same user many times.
+    const totals = Object.fromEntries(totalsDimensions.map(dimension => [dimension, {}]));
+    let sumOnlineUsers = 0;
+    let peakOnlineUsers = 0;
+
+    const knownRows = rows.filter(row => row.onlineUsers !== null); // Gaps don't count towards the average
+    for (const row of knownRows) {
+      sumOnlineUsers += row.onlineUsers;
+      peakOnlineUsers = Math.max(peakOnlineUsers, row.onlineUsers);
+      for (const dimension of totalsDimensions) mergeTotals(totals[dimension], JSON.parse(row[dimension] || '{}'));
+    }
+
+    return {
+      onlineUsers: knownRows.length ? Math.round(sumOnlineUsers / knownRows.length) : 0,
+      peakOnlineUsers,
+      hours: knownRows.length,
+      ...Object.fromEntries(totalsDimensions.map(dimension => [dimension, JSON.stringify(totals[dimension])]))
+    };
+  }
+
+  // Deletes the oldest rows of a totals table until only maxRows remain for each app
+  function trimTotals(targetTable, intervalStartCol, maxRows) {
+    if (!maxRows) return; // Only apply the maximum row limit when maxRows is truthy
+
+    const counts = db.prepare(`SELECT app, COUNT(*) as cnt FROM ${targetTable} GROUP BY app`).all();
+    for (const { app, cnt: count } of counts) {
+      if (count <= maxRows) continue;
+
       // Delete oldest rows
       db.prepare(`
         DELETE FROM ${targetTable}
-        WHERE ${intervalStartCol} IN (
+        WHERE app = ? AND ${intervalStartCol} IN (
           SELECT ${intervalStartCol} FROM ${targetTable}
+          WHERE app = ?
           ORDER BY ${intervalStartCol} ASC
           LIMIT ?
         )
-      `).run(count - maxRows);
+      `).run(app, app, count - maxRows);
     }
   }
 
-  // Optionally delete aggregated raw data
-  if (wipeSource) {
-    db.prepare(`
-      DELETE FROM ${sourceTable}
-      WHERE lastSeen >= ? AND lastSeen < ?
-    `).run(startTime, endTime);
-  }
-}
-
+  const hourMs = 60 * 60 * 1000; // One hour in milliseconds
+
+  /**
+   * Rolls up every complete day, week or month that has not been rolled up yet, e.g. because the server was down when its job was due
+   * @param {string} interval - 'daily', 'weekly' or 'monthly'
+   * @param {number} now - current time (Unix timestamp in ms)
+   */
+  function catchUpRollups(interval, now = clock()) {
+    const { table, intervalStartCol, startOf, nextStart, maxRows } = totalsIntervals[interval];
+    const checkpoint = `${interval}RolledUpUntil`;
+    const currentStart = startOf(now);
+
+    // Every interval before the checkpoint is final. Without one, continue after the newest row, or from the oldest hour
+    let start = getCheckpoint(checkpoint);
+    if (start === null) {
+      const newestStart = db.prepare(`SELECT MAX(${intervalStartCol}) AS intervalStart FROM ${table}`).get().intervalStart;
+      const oldestHourStart = db.prepare('SELECT MIN(hourStart) AS hourStart FROM totalsHourly').get().hourStart;
+      start = (newestStart !== null) ? nextStart(newestStart)
+        : (oldestHourStart !== null) ? oldestHourStart
+        : currentStart;
+    }
+    start = Math.max(startOf(start), nextStart(startOf(now - retentionHours * hourMs))); // Older hours are trimmed, so older intervals can't be rolled up whole
 
+    for (; start < currentStart; start = nextStart(start)) {
+      rollupTotals('totalsHourly', table, start, nextStart(start), 'hourStart', intervalStartCol, maxRows);
+    }
 
+    setCheckpoint(checkpoint, currentStart);
+  }
 
-// CHARTS
+  /**
+   * Aggregates every complete clock-hour that has not been aggregated yet.
+   * Hours that fall entirely inside a downtime are stored as gaps, instead of as hours with zero users.
+   * @param {number} now - current time (Unix timestamp in ms)
+   * @param {number} downSince - last time the previous run was known to be alive (Unix timestamp in ms), if the server was down
+   * @param {number} downUntil - time the server came back up (Unix timestamp in ms)
+   */
+  function catchUpHours(now = clock(), downSince = null, downUntil = null) {
+    const currentHourStart = startOfHour(now);
+
+    // Every hour before the checkpoint is final. Without one, continue after the newest row, or from the oldest heartbeat
+    let hourStart = getCheckpoint('aggregatedUntil');
+    if (hourStart === null) {
+      const newestHourStart = db.prepare('SELECT MAX(hourStart) AS hourStart FROM totalsHourly').get().hourStart;
+      const oldestHeartbeat = db.prepare('SELECT MIN(lastSeen) AS lastSeen FROM heartbeats').get().lastSeen;
+      hourStart = (newestHourStart !== null) ? startOfHour(newestHourStart) + hourMs
+        : (oldestHeartbeat !== null) ? oldestHeartbeat
+        : currentHourStart;
+    }
+    hourStart = Math.max(startOfHour(hourStart), currentHourStart - retentionHours * hourMs); // Anything older would be trimmed anyway
+
+    for (; hourStart < currentHourStart; hourStart += hourMs) {
+      const hourEnd = hourStart + hourMs;
+      const isGap = (downSince !== null) && (hourStart >= downSince) && (hourEnd <= downUntil);
+
+      if (isGap) {
+        // No server uptime this hour, so the online users of every app are unknown
+        for (const app of apps.keys()) {
+          db.prepare(`
+            INSERT INTO totalsHourly (app, hourStart, onlineUsers, lastSeen, gap)
+            VALUES (?, ?, NULL, ?, 1)
+            ON CONFLICT(app, hourStart) DO NOTHING
+          `).run(app, hourStart, hourEnd);
+        }
+        trimTotals('totalsHourly', 'hourStart', retentionHours);
+      } else {
+        aggregateTotals('heartbeats', 'totalsHourly', hourStart, hourEnd, 'hourStart', retentionHours, true); // rolling window, wipe source
+        aggregateEvents(hourStart, hourEnd, true);
+      }
+    }
 
+    // Heartbeats and events older than the current hour have all been aggregated. Anything left over is stale, so it is deleted
+    db.prepare('DELETE FROM heartbeats WHERE lastSeen < ?').run(currentHourStart);
+    db.prepare('DELETE FROM events WHERE lastSeen < ?').run(currentHourStart);
 
-const width = 800; // Width of the chart
-const height = 400; // Height of the chart
-const chartJSNodeCanvas = new ChartJSNodeCanvas({
-  width,
-  height,
-  plugins: {
-    modern: [ChartDataLabels]
+    setCheckpoint('aggregatedUntil', currentHourStart);
   }
-});
-
-let cachedChartHourlyMain = null; // Buffer for the cached chart image main
-let cachedChartHourlyVersion = null; // Buffer for the cached chart image version
-let cachedChartHourlyBrowser = null; // Buffer for the cached chart image browser
-let cachedChartHourlyOS = null; // Buffer for the cached chart image OS
-let cachedChartHourlyStats = null; // Buffer for the cached stats chart image
-
-async function generateHourlyChart() {
-  try {
-    // Get all hourly totals
-    const rows = db.prepare('SELECT * FROM totalsHourly ORDER BY hourStart DESC LIMIT 24').all().reverse();
 
-    // Add partial hour data from heartbeats
-    const now = Date.now();
-    console.log(`Generating hourly chart at ${new Date(now).toLocaleTimeString()}`);
-    const currentHourStart = new Date(now);
-    currentHourStart.setMinutes(0, 0, 0);
-    const currentHourStartMs = currentHourStart.getTime();
-    const partialRows = db.prepare('SELECT version, browser, os FROM heartbeats WHERE lastSeen >= ? AND lastSeen < ?').all(currentHourStartMs, now);
+  /**
+   * Builds a totalsHourly-shaped row for the hour in progress from the heartbeats table
+   * @param {number} now - current time (Unix timestamp in ms)
+   * @param {string} app - app ID
+   * @returns {Object} row with app, hourStart, onlineUsers, every dimension (JSON strings) and lastSeen
+   */
+  function getPartialHour(now = clock(), app = defaultAppId) {
+    const currentHourStartMs = startOfHour(now);
+    const partialRows = db.prepare(`SELECT ${totalsDimensions.join(', ')} FROM heartbeats WHERE app = ? AND lastSeen >= ? AND lastSeen < ? AND quarantined = 0`).all(app, currentHourStartMs, now);
 
     // Aggregate partial hour data
-    const versionTotals = {};
-    const browserTotals = {};
-    const osTotals = {};
-    for (const row of partialRows) {
-      if (row.version) versionTotals[row.version] = (versionTotals[row.version] || 0) + 1;
-      if (row.browser) browserTotals[row.browser] = (browserTotals[row.browser] || 0) + 1;
-      if (row.os) osTotals[row.os] = (osTotals[row.os] || 0) + 1;
-    }
-    const partialHour = {
+    const totals = tallyRows(partialRows);
+    return {
+      app,
       hourStart: currentHourStartMs,
       onlineUsers: partialRows.length,
-      version: JSON.stringify(versionTotals),
-      browser: JSON.stringify(browserTotals),
-      os: JSON.stringify(osTotals),
+      ...Object.fromEntries(totalsDimensions.map(dimension => [dimension, JSON.stringify(totals[dimension])])),
       lastSeen: now
     };
-    rows.push(partialHour);
+  }
+
+  // Who is online right now. A user is online until a whole delivery interval passes without a heartbeat from them.
+  // The hourly totals count everyone seen in the hour, so an outage only shows there once the hour is over. This shows it within minutes
+  const onlineNowWindowMs = intervalDelivery * 60 * 1000;
+  // Keyed by the sketch hash, which never rotates, so a user isn't counted twice across a salt rotation. It is only ever kept in memory
+  const liveUsers = new Map(); // "app sketchHash" -> { app, lastSeen, uuid }. uuid is the hashed UUID of the latest heartbeat. Least recently seen first
+
+  // Seed the live users from the heartbeats of this hour, so a restart doesn't look like an outage.
+  // Only the hashed UUIDs are stored, so these are keyed by them until the user sends a heartbeat again
+  const seededUntil = clock() + onlineNowWindowMs; // Every seeded user is gone after this
+  for (const row of db.prepare('SELECT app, uuid, lastSeen FROM heartbeats WHERE lastSeen >= ? AND quarantined = 0 ORDER BY lastSeen ASC').all(clock() - onlineNowWindowMs)) {
+    liveUsers.set(`${row.app} ${row.uuid}`, { app: row.app, lastSeen: row.lastSeen, uuid: row.uuid });
+  }
+
+  // Records that a user is online
+  function markOnline(app, uuid, safeUuid, now) {
+    if (now < seededUntil) {
+      for (const hash of hashUuidRecent(uuid, now)) liveUsers.delete(`${app} ${hash}`); // Replace the seeded user
+    }
+    const key = `${app} ${hashUuidForSketch(uuid).toString('hex')}`;
+    liveUsers.delete(key); // Moved to the end, so the map stays ordered by lastSeen
+    liveUsers.set(key, { app, lastSeen: now, uuid: safeUuid });
+  }
+
+  /**
+   * Counts the users of an app that are online right now
+   * @param {string} app - app ID
+   * @param {number} now - current time (Unix timestamp in ms)
+   * @returns {number} Users who sent a heartbeat within the last delivery interval
+   */
+  function getOnlineNow(app, now) {
+    // Forget everyone who went offline. The map is ordered by lastSeen, so this stops at the first user still online
+    for (const [key, user] of liveUsers) {
+      if (user.lastSeen >= now - onlineNowWindowMs) break;
+      liveUsers.delete(key);
+    }
+
+    let onlineNow = 0;
+    for (const user of liveUsers.values()) {
+      if (user.app === app) onlineNow++;
+    }
+    return onlineNow;
+  }
+
+  // Distinct users per day, as HyperLogLog sketches. Summing hourly online users would count everyone once per hour,
+  // and the heartbeats are gone after an hour, so sketches are the only way to count someone once per week or month
+  const activeUserSketches = new Map(); // App ID -> { dayStart, sketch, isDirty } of today
+  const activeUserDays = 30; // Days counted by the monthly active users. The sketches are deleted after this, since nothing reads them
+
+  // Gets the sketch of today, from memory or the database. A new day saves the sketch of the day before first
+  function getTodaySketch(app, now) {
+    const dayStart = startOfDay(now);
+    let entry = activeUserSketches.get(app);
+    if (entry?.dayStart !== dayStart) {
+      if (entry) saveSketches();
+      const row = db.prepare('SELECT registers FROM sketchesDaily WHERE app = ? AND dayStart = ?').get(app, dayStart);
+      entry = { dayStart, sketch: row ? Buffer.from(row.registers) : createSketch(), isDirty: false };
+      activeUserSketches.set(app, entry);
+    }
+    return entry;
+  }
+
+  // Counts a user in the sketch of today. Only the sketch is kept, never the hash
+  function markActive(app, uuid, now) {
+    const entry = getTodaySketch(app, now);
+    addToSketch(entry.sketch, hashUuidForSketch(uuid));
+    entry.isDirty = true;
+  }
+
+  // Writes the sketches that changed to sketchesDaily, and deletes the days past the monthly window
+  function saveSketches() {
+    for (const [app, entry] of activeUserSketches) {
+      if (!entry.isDirty) continue;
+      db.prepare(`
+        INSERT INTO sketchesDaily (app, dayStart, registers)
+        VALUES (?, ?, ?)
+        ON CONFLICT(app, dayStart) DO UPDATE SET registers = excluded.registers
+      `).run(app, entry.dayStart, entry.sketch);
+      entry.isDirty = false;
+    }
+    db.prepare('DELETE FROM sketchesDaily WHERE dayStart < ?').run(clock() - activeUserDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Estimates the distinct users of an app over the last day, 7 days and activeUserDays (30) days, including today
+   * @param {string} app - app ID
+   * @param {number} now - current time (Unix timestamp in ms)
+   * @returns {{daily: number, weekly: number, monthly: number, days: Object[]}} days is { dayStart, activeUsers } of each of the 30 days, oldest first
+   */
+  function getActiveUsers(app, now) {
+    const dayStarts = [startOfDay(now)];
+    while (dayStarts.length < activeUserDays) dayStarts.unshift(startOfDay(dayStarts[0] - 1));
+
+    const stored = new Map(db.prepare('SELECT dayStart, registers FROM sketchesDaily WHERE app = ? AND dayStart >= ?').all(app, dayStarts[0])
+      .map(row => [row.dayStart, row.registers]));
+    stored.set(dayStarts[dayStarts.length - 1], getTodaySketch(app, now).sketch); // Today is ahead of the database in memory
+    const sketches = dayStarts.map(dayStart => stored.get(dayStart) || createSketch());
+
+    return {
+      daily: estimateCardinality(sketches[sketches.length - 1]),
+      weekly: estimateCardinality(mergeSketches(sketches.slice(-7))),
+      monthly: estimateCardinality(mergeSketches(sketches)),
+      days: dayStarts.map((dayStart, idx) => ({ dayStart, activeUsers: estimateCardinality(sketches[idx]) }))
+    };
+  }
+
+  // Stores the "online now" count of every app in totalsOnlineNow, and trims the buckets past their retention
+  function recordOnlineNow(now = clock()) {
+    const bucketMs = chartRefreshMinutes * 60 * 1000; // A bucket is recorded every time the charts are generated
+    const bucketStart = Math.floor(now / bucketMs) * bucketMs;
+    for (const app of apps.keys()) {
+      db.prepare(`
+        INSERT INTO totalsOnlineNow (app, bucketStart, onlineUsers)
+        VALUES (?, ?, ?)
+        ON CONFLICT(app, bucketStart) DO UPDATE SET onlineUsers = excluded.onlineUsers
+      `).run(app, bucketStart, getOnlineNow(app, now));
+    }
+    db.prepare('DELETE FROM totalsOnlineNow WHERE bucketStart < ?').run(now - onlineNowRetentionHours * hourMs);
+  }
+
+
+
+
+  // CHARTS
+
+
+  const width = 800; // Default width of the chart
+  const height = 400; // Default height of the chart
+  const minChartSize = 200; // Smallest width or height a chart can be requested at
+  const maxChartWidth = parseInt(process.env.CHART_MAX_WIDTH, 10) || 2000; // Default to 2000 pixels
+  const maxChartHeight = parseInt(process.env.CHART_MAX_HEIGHT, 10) || 2000; // Default to 2000 pixels
+  const maxChartCacheEntries = parseInt(process.env.CHART_CACHE_ENTRIES, 10) || 200; // Default to 200 rendered charts
+  const chartWorkers = parseInt(process.env.CHART_WORKERS, 10) || 1; // Default to 1 worker thread drawing charts
+  const chartRenderTimeoutMs = parseInt(process.env.CHART_RENDER_TIMEOUT_MS, 10) || 30000; // Default to 30 seconds before a hung worker is replaced
+  const chartRefreshMinutes = 5; // How often the charts are generated again
+
+  const chartTypes = ['main', 'version', 'browser', 'os', 'stats', 'live']; // Every chart that can be rendered
+
+  // The formats a chart can be served as. CSV is the exact series the picture is drawn from
+  const chartFormats = {
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    csv: 'text/csv; charset=utf-8'
+  };
+
+  // The time ranges a chart can show. Longer ranges draw from the daily rollups
+  const chartRanges = {
+    '24h': { interval: 'hourly', points: 24, hours: 24, window: 24, windowLabel: '24h' },
+    '7d': { interval: 'hourly', points: 24 * 7, hours: 24 * 7, window: 24, windowLabel: '24h' },
+    '30d': { interval: 'daily', points: 30, hours: 24 * 30, window: 7, windowLabel: '7d' }
+  };
+
+  // The charts the cron job renders, and /chart/hourly serves when no options are given
+  const defaultChartOptions = { app: defaultAppId, format: 'png', range: '24h', width, height, theme: 'blue', timezone: undefined };
+
+  const chartPool = new ChartPool(chartWorkers, chartRenderTimeoutMs); // Charts are drawn on worker threads, so the heartbeats never wait for them
+  const chartCache = new Map(); // Rendered charts (or renders in progress) by chart key: { buffer, etag, lastModified }. Cleared whenever the data changes
+  let chartsGeneratedAt = null; // When the default charts were last generated (Unix timestamp in ms)
+
+  // The cache key of a chart. Every option that changes the picture is part of it
+  function getChartKey(type, options) {
+    return [options.app, type, options.format, options.range, `${options.width}x${options.height}`, options.theme, options.timezone || 'server'].join('|');
+  }
+
+  /**
+   * Gets the totals rows a chart range shows, oldest first. The last row is still in progress
+   * @param {string} range - A key of chartRanges
+   * @param {number} now - current time (Unix timestamp in ms)
+   * @param {string} app - app ID
+   * @returns {Object[]} totals rows, with the start of each interval as "start"
+   */
+  function getChartRows(range, now, app) {
+    const { interval, points } = chartRanges[range];
+
+    if (interval === 'hourly') {
+      const rows = db.prepare('SELECT * FROM totalsHourly WHERE app = ? AND hourStart < ? ORDER BY hourStart DESC LIMIT ?').all(app, startOfHour(now), points - 1).reverse();
+      rows.push(getPartialHour(now, app)); // Add partial hour data from heartbeats
+      return rows.map(row => ({ ...row, start: row.hourStart }));
+    }
+
+    // Every day of the range. Days the daily rollup missed, and today, are rolled up from the hourly table instead
+    const dayStarts = [startOfDay(now)];
+    while (dayStarts.length < points) dayStarts.unshift(startOfDay(dayStarts[0] - 1));
+    const storedDays = new Map(db.prepare('SELECT * FROM totalsDaily WHERE app = ? AND dayStart >= ?').all(app, dayStarts[0]).map(row => [row.dayStart, row]));
+
+    return dayStarts.map((dayStart, idx) => {
+      const dayEnd = dayStarts[idx + 1] ?? startOfHour(now);
+      let row = storedDays.get(dayStart);
+      if (!row) {
+        const hours = db.prepare('SELECT * FROM totalsHourly WHERE app = ? AND hourStart >= ? AND hourStart < ?').all(app, dayStart, dayEnd);
+        if (dayEnd === startOfHour(now)) hours.push(getPartialHour(now, app));
+        row = rollupRows(hours);
+      }
+      // A day without a single hour of uptime is a gap
+      return { ...row, start: dayStart, gap: row.hours ? 0 : 1, onlineUsers: row.hours ? row.onlineUsers : null };
+    });
+  }
+
+  // Formats the label of a chart point in the requested timezone
+  function formatChartLabel(start, range, timezone) {
+    if (range === '24h') return new Date(start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: timezone });
+    if (range === '7d') return new Date(start).toLocaleString([], { weekday: 'short', hour: '2-digit', timeZone: timezone });
+    return new Date(start + 12 * 60 * 60 * 1000).toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: timezone }); // Midday, so the date is right in any timezone
+  }
+
+  /**
+   * Calculates everything the charts show for a time range
+   * @param {string} range - A key of chartRanges
+   * @param {string} timezone - IANA timezone for the labels, or undefined for the server's timezone
+   * @param {number} now - current time (Unix timestamp in ms)
+   * @param {string} app - app ID
+   * @returns {Object} The data of every chart type
+   */
+  function buildChartData(range, timezone, now, app = defaultAppId) {
+    const { window, windowLabel, hours } = chartRanges[range];
+    const rows = getChartRows(range, now, app);
 
     // Data
-    const labels = rows.map(row => new Date(row.hourStart).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+    // Gaps (hours the server was down) have null online users, so the line is broken instead of dropping to 0
+    const labels = rows.map(row => formatChartLabel(row.start, range, timezone));
     const dataOnlineUsers = rows.map(row => row.onlineUsers);
-    const dataVersion = rows.map(row => JSON.parse(row.version));
-    const dataBrowser = rows.map(row => JSON.parse(row.browser));
-    const dataOs = rows.map(row => JSON.parse(row.os));
-    const ceilingOnlineUsers = Array(dataOnlineUsers.length).fill(percentile(dataOnlineUsers, 0.90));
-    const floorOnlineUsers = Array(dataOnlineUsers.length).fill(percentile(dataOnlineUsers, 0.10));
+    const dataVersion = rows.map(row => JSON.parse(row.version || '{}'));
+    const dataBrowser = rows.map(row => JSON.parse(row.browser || '{}'));
+    const dataOs = rows.map(row => JSON.parse(row.os || '{}'));
+    const knownOnlineUsers = dataOnlineUsers.filter(value => value !== null);
+    const ceilingOnlineUsers = Array(dataOnlineUsers.length).fill(percentile(knownOnlineUsers, 0.90));
+    const floorOnlineUsers = Array(dataOnlineUsers.length).fill(percentile(knownOnlineUsers, 0.10));
     const rollingAvgOnlineUsers = dataOnlineUsers.map((_, idx, arr) => {
-      const start = Math.max(0, idx - 23);
-      const slice = arr.slice(start, idx + 1);
-      return Math.round(slice.reduce((a, b) => a + b, 0) / slice.length);
+      const start = Math.max(0, idx - window + 1);
+      const slice = arr.slice(start, idx + 1).filter(value => value !== null);
+      return slice.length ? Math.round(slice.reduce((a, b) => a + b, 0) / slice.length) : null;
     });
 
-    console.log(`Ceiling Online Users: ${ceilingOnlineUsers}`);
-    console.log(`Floor Online Users: ${floorOnlineUsers}`);
-    console.log(`Rolling Average Online Users: ${rollingAvgOnlineUsers}`);
-
-    // Calculate unique counts for each hour
-    const uniqueVersions = dataVersion.map(obj => Object.keys(obj).length);
-    const uniqueBrowsers = dataBrowser.map(obj => Object.keys(obj).length);
-    const uniqueOS = dataOs.map(obj => Object.keys(obj).length);
+    // Calculate unique counts for each hour (or day). Groups too small to publish are counted as one "Other" group
+    const uniqueCount = (obj, idx) => rows[idx].gap ? null : Object.keys(anonymizeTotals(obj, rows[idx].hours ?? 1)).length;
+    const uniqueVersions = dataVersion.map(uniqueCount);
+    const uniqueBrowsers = dataBrowser.map(uniqueCount);
+    const uniqueOS = dataOs.map(uniqueCount);
 
-    // Aggregate all version counts across all hours.
-    // This will be used to display the number of each different version.
+    // Aggregate all version/browser/OS counts across all hours.
+    // This will be used to display the number of each different version/browser/OS.
     const uniqueVersionTotals = {};
-    for (const hourObj of dataVersion) {
-      for (const [version, count] of Object.entries(hourObj)) {
-        uniqueVersionTotals[version] = (uniqueVersionTotals[version] || 0) + count;
-      }
-    }
-    // Aggregate all browser counts across all hours
+    for (const hourObj of dataVersion) mergeTotals(uniqueVersionTotals, hourObj);
     const uniqueBrowserTotals = {};
-    for (const hourObj of dataBrowser) {
-      for (const [browser, count] of Object.entries(hourObj)) {
-        uniqueBrowserTotals[browser] = (uniqueBrowserTotals[browser] || 0) + count;
-      }
-    }
-    // Aggregate all OS counts across all hours
+    for (const hourObj of dataBrowser) mergeTotals(uniqueBrowserTotals, hourObj);
     const uniqueOSTotals = {};
-    for (const hourObj of dataOs) {
-      for (const [os, count] of Object.entries(hourObj)) {
-        uniqueOSTotals[os] = (uniqueOSTotals[os] || 0) + count;
-      }
+    for (const hourObj of dataOs) mergeTotals(uniqueOSTotals, hourObj);
+
+    // Combined/Redacted Versions, Browsers and OS. The threshold is the minimum group size per hour of the range
+    const combinedVersionTotals = combineSmallCounts(Object.keys(uniqueVersionTotals), Object.values(uniqueVersionTotals), minGroupSize * hours);
+    const combinedBrowserTotals = combineSmallCounts(Object.keys(uniqueBrowserTotals), Object.values(uniqueBrowserTotals), minGroupSize * hours);
+    const combinedOSTotals = combineSmallCounts(Object.keys(uniqueOSTotals), Object.values(uniqueOSTotals), minGroupSize * hours);
+
+    // Online now, one point per bucket. Only as far back as the buckets are kept
+    const liveRows = db.prepare('SELECT bucketStart, onlineUsers FROM totalsOnlineNow WHERE app = ? AND bucketStart >= ? ORDER BY bucketStart ASC').all(app, now - Math.min(hours, onlineNowRetentionHours) * hourMs);
+    const liveLabels = liveRows.map(row => (hours <= 24)
+      ? new Date(row.bucketStart).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: timezone })
+      : new Date(row.bucketStart).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit', timeZone: timezone }));
+    const dataOnlineNow = liveRows.map(row => row.onlineUsers);
+
+    return {
+      labels,
+      dataOnlineUsers,
+      ceilingOnlineUsers,
+      floorOnlineUsers,
+      rollingAvgOnlineUsers,
+      uniqueVersions,
+      uniqueBrowsers,
+      uniqueOS,
+      combinedVersionTotals,
+      combinedBrowserTotals,
+      combinedOSTotals,
+      liveLabels,
+      dataOnlineNow,
+      liveWindowMinutes: intervalDelivery,
+      window,
+      windowLabel,
+      title: apps.get(app)?.chartTitle ?? null
+    };
+  }
+
+  // Renders a chart, or gets it from the cache
+  function getChart(type, options) {
+    const key = getChartKey(type, options);
+
+    if (!chartCache.has(key)) {
+      if (chartCache.size >= maxChartCacheEntries) chartCache.delete(chartCache.keys().next().value); // Forget the oldest chart
+
+      const now = clock();
+      const render = renderChart(type, buildChartData(options.range, options.timezone, now, options.app), options, now);
+      render.catch(() => chartCache.delete(key)); // Failed renders are tried again next time
+      chartCache.set(key, render);
     }
 
-    // Combined/Redacted Versions
-    const combinedVersionTotals = combineSmallCounts(Object.keys(uniqueVersionTotals), Object.values(uniqueVersionTotals), 25*24);
-    const uniqueVersionTotalsColors = generateDistinctColors(combinedVersionTotals.labels.length);
-    // Combined/Redacted Browsers
-    const combinedBrowserTotals = combineSmallCounts(Object.keys(uniqueBrowserTotals), Object.values(uniqueBrowserTotals), 25*24);
-    const uniqueBrowserTotalsColors = generateDistinctColors(combinedBrowserTotals.labels.length);
-    // Combined/Redacted OS
-    const combinedOSTotals = combineSmallCounts(Object.keys(uniqueOSTotals), Object.values(uniqueOSTotals), 25*24);
-    const uniqueOSTotalsColors = generateDistinctColors(combinedOSTotals.labels.length);
-
-    const gridLineColor = '#3690EA';
-
-    // Generate the config files for the hourly charts
-    const hourlyChartConfigMain = generateHourlyChartConfigMain(labels, dataOnlineUsers, uniqueVersions, uniqueBrowsers, uniqueOS, gridLineColor);
-    const hourlyChartConfigVersion = generateHourlyChartConfigPie('Version Distribution', combinedVersionTotals.labels, combinedVersionTotals.data, uniqueVersionTotalsColors);
-    const hourlyChartConfigBrowser = generateHourlyChartConfigPie('Browser Distribution', combinedBrowserTotals.labels, combinedBrowserTotals.data, uniqueBrowserTotalsColors);
-    const hourlyChartConfigOS = generateHourlyChartConfigPie('OS Distribution', combinedOSTotals.labels, combinedOSTotals.data, uniqueOSTotalsColors);
-    const hourlyChartConfigStats = generateHourlyChartConfigStats(labels, dataOnlineUsers, ceilingOnlineUsers, floorOnlineUsers, rollingAvgOnlineUsers);
-
-    // Save the new charts to cache
-    cachedChartHourlyMain = await chartJSNodeCanvas.renderToBuffer(hourlyChartConfigMain);
-    cachedChartHourlyVersion = await chartJSNodeCanvas.renderToBuffer(hourlyChartConfigVersion);
-    cachedChartHourlyBrowser = await chartJSNodeCanvas.renderToBuffer(hourlyChartConfigBrowser);
-    cachedChartHourlyOS = await chartJSNodeCanvas.renderToBuffer(hourlyChartConfigOS);
-    cachedChartHourlyStats = await chartJSNodeCanvas.renderToBuffer(hourlyChartConfigStats);
-  } catch (exception) {
-    console.error('Error generating chart:', exception);
-    cachedChartHourlyMain = null;
+    return chartCache.get(key);
   }
-}
-// Generate once at startup
-generateHourlyChart();
 
+  /**
+   * Renders a chart. Pictures are drawn by the chart workers, and CSV is written right here since it draws nothing
+   * @param {string} type - chart type
+   * @param {Object} data - chart data from buildChartData
+   * @param {Object} options - chart options
+   * @param {number} now - when the data was built (Unix timestamp in ms)
+   * @returns {Promise<{buffer: Buffer, etag: string, lastModified: number}>} The chart, and what clients revalidate it with
+   */
+  async function renderChart(type, data, options, now) {
+    let buffer = undefined;
+    let seconds = undefined;
+    if (options.format === 'csv') {
+      const renderStart = performance.now();
+      buffer = Buffer.from(chartConfigToCsv(buildChartConfig(type, data, options)));
+      seconds = (performance.now() - renderStart) / 1000;
+    } else {
+      ({ buffer, seconds } = await chartPool.render({ type, data, options }));
+    }
+    metricChartRenders.observe({ type, format: options.format }, seconds);
+
+    return {
+      buffer,
+      etag: `"${crypto.createHash('sha1').update(buffer).digest('hex')}"`,
+      lastModified: Math.floor(now / 1000) * 1000 // Last-Modified only has whole seconds
+    };
+  }
 
+  async function generateHourlyChart() {
+    try {
+      const now = clock();
+      console.log(`Generating hourly chart at ${new Date(now).toLocaleTimeString()}`);
+      const data = buildChartData(defaultChartOptions.range, defaultChartOptions.timezone, now, defaultChartOptions.app);
+
+      console.log(`Ceiling Online Users: ${data.ceilingOnlineUsers}`);
+      console.log(`Floor Online Users: ${data.floorOnlineUsers}`);
+      console.log(`Rolling Average Online Users: ${data.rollingAvgOnlineUsers}`);
+
+      // Render the default charts. If any of them fails, this throws before the cache is touched,
+      // so the old charts are all still served instead of a mix of old, new and missing ones
+      const rendered = await Promise.all(chartTypes.map(type => renderChart(type, data, defaultChartOptions, now)));
+
+      // Save the new charts to cache. The data changed, so every other cached chart is outdated
+      chartCache.clear();
+      chartTypes.forEach((type, idx) => chartCache.set(getChartKey(type, defaultChartOptions), Promise.resolve(rendered[idx])));
+      chartsGeneratedAt = now;
+    } catch (exception) {
+      console.error('Error generating chart:', exception);
+    }
+  }
+  // Generated once at startup, after catching up on missed hours (see the end of ENDPOINTS)
 
-// CRON
 
 
 
+  // ALERTS
 
-// Generate hourly chart every 5 minutes
-cron.schedule('*/5 * * * *', () => {
-  generateHourlyChart();
-});
 
 
-// Hourly
-cron.schedule('0 * * * *', () => {
-  console.log(`Hourly job at ${new Date().toUTCString()}`);
-  const endTime = Date.now();
-  const startTime = endTime - 60 * 60 * 1000;
-  aggregateTotals('heartbeats', 'totalsHourly', startTime, endTime, 'hourStart', 0, true); // no rolling, wipe source
 
-  // After aggregation, update rolling average for the latest hour
-  try {
-    // Get the last 24 hours (including the current hour)
-    const last24 = db.prepare('SELECT onlineUsers, hourStart FROM totalsHourly ORDER BY hourStart DESC LIMIT 24').all();
-    if (last24.length > 0) {
-      const avg = Math.round(last24.reduce((sum, row) => sum + row.onlineUsers, 0) / last24.length);
-      const latestHourStart = last24[0].hourStart;
-      db.prepare('UPDATE totalsHourly SET rollingAvgOnlineUsers = ? WHERE hourStart = ?').run(avg, latestHourStart);
+  // The outage state of each app: { isOutage, lastOutageAlert }
+  // isOutage: Is an outage currently ongoing?
+  // lastOutageAlert: When the last outage alert was sent (Unix timestamp in ms)
+  const outageStates = new Map();
+
+  // Checks every app for an outage
+  async function detectOutages() {
+    for (const app of apps.keys()) await detectOutage(app);
+  }
+
+  // Checks if the online users of an app dropped below the lower Bollinger Band, and alerts the webhook.
+  // Sends a recovery notification once the online users are back within the band.
+  async function detectOutage(app = defaultAppId) {
+    if (!outageWebhookUrl) return; // Alerts are disabled
+
+    if (!outageStates.has(app)) outageStates.set(app, { isOutage: false, lastOutageAlert: 0 });
+    const state = outageStates.get(app);
+    const appName = apps.get(app)?.name || app;
+
+    try {
+      const now = clock();
+
+      // The 24 complete hours before the hour being checked make the band, so a drop can't drag the band down with it
+      const rows = db.prepare('SELECT onlineUsers, hourStart FROM totalsHourly WHERE app = ? AND hourStart < ? AND gap = 0 ORDER BY hourStart DESC LIMIT 25').all(app, startOfHour(now)).reverse();
+
+      // The partial hour is only comparable once every online user had the chance to send a heartbeat.
+      // Until then, the last complete hour is checked instead.
+      const partialHour = getPartialHour(now, app);
+      const isPartialComparable = (now - partialHour.hourStart) >= intervalDelivery * 60 * 1000;
+      const current = isPartialComparable ? partialHour : rows.pop();
+      const history = rows.slice(-24).map(row => row.onlineUsers);
+
+      if (!current || (history.length < outageMinHours)) return; // Not enough data to tell what normal looks like
+
+      const mean = history.reduce((a, b) => a + b, 0) / history.length;
+      const { lowerBand } = bollingerBands(history, Array(history.length).fill(mean), history.length);
+      const floor = lowerBand[lowerBand.length - 1];
+
+      if (isDebug) {console.log(`Outage check of ${app}: ${current.onlineUsers} online users, lower band ${floor.toFixed(1)}`);}
+
+      if (!state.isOutage && (current.onlineUsers < floor)) {
+        if ((now - state.lastOutageAlert) < outageCooldownMinutes * 60 * 1000) return; // Still cooling down from the last alert
+        state.isOutage = true;
+        state.lastOutageAlert = now;
+        console.warn(`Possible outage of ${appName}: ${current.onlineUsers} online users is below the lower band of ${Math.round(floor)}`);
+        await sendWebhook({
+          title: `Possible outage: ${appName}`,
+          description: 'Online users dropped below the lower Bollinger Band.',
+          color: 0xFF0000,
+          onlineUsers: current.onlineUsers,
+          mean,
+          floor,
+          hourStart: current.hourStart
+        });
+      } else if (state.isOutage && (current.onlineUsers >= floor)) {
+        state.isOutage = false;
+        console.log(`Outage of ${appName} recovered: ${current.onlineUsers} online users`);
+        await sendWebhook({
+          title: `Recovered: ${appName}`,
+          description: 'Online users are back within the Bollinger Bands.',
+          color: 0x00FF00,
+          onlineUsers: current.onlineUsers,
+          mean,
+          floor,
+          hourStart: current.hourStart
+        });
+      }
+    } catch (exception) {
+      console.error('Error detecting outage:', exception);
+    }
+  }
+
+  // Sends an alert to the webhook as a Discord-style embed
+  async function sendWebhook({ title, description, color, onlineUsers, mean, floor, hourStart }) {
+    try {
+      const response = await fetch(outageWebhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          content: `**${title}**`,
+          embeds: [{
+            title,
+            description,
+            color,
+            fields: [
+              { name: 'Online Users', value: `${onlineUsers}`, inline: true },
+              { name: '24h Simple Moving Average', value: `${Math.round(mean)}`, inline: true },
+              { name: 'Bollinger Lower', value: `${Math.round(floor)}`, inline: true },
+              { name: 'Hour', value: new Date(hourStart).toUTCString(), inline: false }
+            ],
+            timestamp: new Date().toISOString()
+          }]
+        }),
+        signal: AbortSignal.timeout(10000) // Give up after 10 seconds
+      });
+      if (!response.ok) console.error(`Webhook responded with ${response.status}`);
+    } catch (exception) {
+      console.error('Error sending webhook:', exception);
     }
-  } catch (err) {
-    console.error('Error updating rolling average:', err);
   }
-});
 
 
 
+  // CRON
 
 
-// ENDPOINTS
 
 
+  const cronTasks = []; // Every scheduled job, so they can be stopped when shutting down
 
+  // Schedules a job, unless the scheduled jobs are turned off
+  function schedule(expression, job) {
+    if (isCronEnabled) cronTasks.push(cron.schedule(expression, job));
+  }
 
+  // Record who is online, generate hourly chart, and check for outages, every 5 minutes
+  schedule(`*/${chartRefreshMinutes} * * * *`, () => {
+    setCheckpoint('aliveAt', clock()); // So the next start knows when this run was last alive
+    try {
+      recordOnlineNow();
+      saveSketches();
+    } catch (exception) {
+      console.error('Error recording online users:', exception);
+    }
+    generateHourlyChart();
+    detectOutages();
+  });
 
-// Heartbeat endpoint
-fastify.post('/heartbeat', async (request, reply) => {
 
-  if (isDebug) {console.log(`Received heartbeat from ${request.ip} or ${request.headers['x-forwarded-for']}:`, request.body);}
+  // Hourly
+  schedule('0 * * * *', () => {
+    console.log(`Hourly job at ${new Date().toUTCString()}`);
+    setCheckpoint('aliveAt', clock());
+    try {
+      drainQueue(); // Heartbeats from the end of the hour might still be queued
+      catchUpHours(clock()); // Aggregates the hour that just ended, and any hour that was missed
+    } catch (exception) {
+      console.error('Error aggregating hourly totals:', exception);
+    }
+
+    // After aggregation, update rolling average for the latest hour of each app
+    try {
+      for (const app of apps.keys()) {
+        // Get the last 24 hours (including the current hour)
+        const last24 = db.prepare('SELECT onlineUsers, hourStart FROM totalsHourly WHERE app = ? AND gap = 0 ORDER BY hourStart DESC LIMIT 24').all(app);
+        if (last24.length > 0) {
+          const avg = Math.round(last24.reduce((sum, row) => sum + row.onlineUsers, 0) / last24.length);
+          const latestHourStart = last24[0].hourStart;
+          db.prepare('UPDATE totalsHourly SET rollingAvgOnlineUsers = ? WHERE app = ? AND hourStart = ?').run(avg, app, latestHourStart);
+        }
+      }
+    } catch (err) {
+      console.error('Error updating rolling average:', err);
+    }
+  });
 
-  // Validate the request body
-  const { uuid, version, browser, os } = request.body || {};
-  if (!uuid || typeof uuid !== 'string') return reply.status(400).send({ error: 'Invalid UUID' });
-  if (uuid.length > inputCharLimit) return reply.status(400).send({ error: 'UUID too long' });
-  if (version && typeof version !== 'string') return reply.status(400).send({ error: 'Invalid version' });
-  if (version.length > inputCharLimit) return reply.status(400).send({ error: 'Version too long' });
-  if (browser && typeof browser !== 'string') return reply.status(400).send({ error: 'Invalid browser' });
-  if (browser.length > inputCharLimit) return reply.status(400).send({ error: 'Browser too long' });
-  if (os && typeof os !== 'string') return reply.status(400).send({ error: 'Invalid OS' });
-  if (os.length > inputCharLimit) return reply.status(400).send({ error: 'OS too long' });
+  // Daily rollup of yesterday, and any day that was missed
+  schedule(cronDaily, () => {
+    console.log(`Daily job at ${new Date().toUTCString()}`);
+    try {
+      catchUpRollups('daily', clock());
+    } catch (exception) {
+      console.error('Error rolling up daily totals:', exception);
+    }
+  });
 
-  // Sanitize inputs
-  const safeUuid = validator.escape(uuid);
-  const safeVersion = version ? validator.escape(version) : null;
-  const safeBrowser = browser ? validator.escape(browser) : null;
-  const safeOs = os ? validator.escape(os) : null;
+  // Weekly rollup of last week (Monday to Monday), and any week that was missed
+  schedule(cronWeekly, () => {
+    console.log(`Weekly job at ${new Date().toUTCString()}`);
+    try {
+      catchUpRollups('weekly', clock());
+    } catch (exception) {
+      console.error('Error rolling up weekly totals:', exception);
+    }
+  });
 
-  // This will allow us to track online users and their last seem time.
-  const now = Date.now();
-  writeQueue.push({
-    uuid: safeUuid,
-    version: safeVersion,
-    browser: safeBrowser,
-    os: safeOs,
-    lastSeen: now
+  // Monthly rollup of last month, and any month that was missed
+  schedule(cronMonthly, () => {
+    console.log(`Monthly job at ${new Date().toUTCString()}`);
+    try {
+      catchUpRollups('monthly', clock());
+    } catch (exception) {
+      console.error('Error rolling up monthly totals:', exception);
+    }
   });
-  
-  return { status: 'ok' };
-});
 
 
-// Endpoint to get hourly totals as a chart
-fastify.get('/chart/hourly', async (request, reply) => {
 
-  let serveThisChart = undefined;
 
-  switch (request.query?.type) {
-    case 'version': // Handle version chart request
-      serveThisChart = cachedChartHourlyVersion;
-      break;
-    case 'browser':
-      // Handle browser chart request
-      serveThisChart = cachedChartHourlyBrowser;
-      break;
-    case 'os':
-      // Handle OS chart request
-      serveThisChart = cachedChartHourlyOS;
-      break;
-    case 'stats':
-      serveThisChart = cachedChartHourlyStats;
-      break;
-    case undefined:
-      serveThisChart = cachedChartHourlyMain; // Default to hourly line chart
-      break;
-  }
 
-  if (serveThisChart) {
-    reply.header('Cache-Control', 'max-age=60, must-revalidate'); // Cache for 60 seconds
-    reply.type('image/png').send(serveThisChart);
-  } else {
-    reply.status(503).send({ error: 'Chart not available yet' });
+  // ENDPOINTS
+
+
+
+
+
+  // Tracks the UUID of a heartbeat per IP. It runs before the rate limit,
+  // so an IP that makes up UUIDs is caught even when most of its heartbeats are limited
+  async function trackHeartbeatUuid(request) {
+    const { app = defaultAppId, uuid } = request.body || {};
+    if (!apps.has(app) || !uuid || (typeof uuid !== 'string') || (uuid.length > inputCharLimit)) return; // The handler rejects it
+    const now = clock();
+    trackUuidPerIp(app, getClientIp(request), hashUuid(uuid, now), now);
   }
-});
 
-// Start server
-fastify.listen({ port: fastifyPort, host: '0.0.0.0' })
-  .then(() => console.log(`Fastify running on port ${fastifyPort}`));
+  // Heartbeat endpoint
+  fastify.post('/heartbeat', { preValidation: trackHeartbeatUuid }, async (request, reply) => {
+
+    const ip = getClientIp(request);
+    if (isDebug) {console.log(`Received heartbeat from ${ip}:`, request.body);}
+
+    // Validate the request body
+    const body = request.body || {};
+    const { app = defaultAppId, uuid } = body;
+    if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+    if (!uuid || typeof uuid !== 'string') return reply.status(400).send({ error: 'Invalid UUID' });
+    if (uuid.length > inputCharLimit) return reply.status(400).send({ error: 'UUID too long' });
+    const clientError = validateClientFields(app, body);
+    if (clientError) return reply.status(400).send({ error: clientError });
+
+    // Sanitize inputs
+    // The UUID is hashed so the raw UUID never reaches the queue or the database
+    const now = clock();
+    const safeUuid = hashUuid(uuid, now);
+    const client = getClientFields(request, body);
+
+    // The queue is being drained for a shutdown
+    if (isShuttingDown) return reply.status(503).send({ error: 'Server is shutting down' });
+
+    // Backpressure. Reject the heartbeat until the queue is written, instead of letting the queue grow forever
+    if (writeQueue.length >= maxQueueSize) {
+      reply.header('Retry-After', Math.ceil(writeFlushIntervalMs / 1000) || 1);
+      return reply.status(503).send({ error: 'Server is busy' });
+    }
+
+    // This will allow us to track online users and their last seem time.
+    // Heartbeats from an IP that sent too many UUIDs are still accepted, so it can't tell it was caught, but are never counted
+    const quarantined = isIpQuarantined(app, ip, now);
+    if (quarantined) {
+      metricQuarantined.inc({ app });
+    } else {
+      markOnline(app, uuid, safeUuid, now);
+      markActive(app, uuid, now);
+    }
+    writeQueue.push({
+      app,
+      uuid: safeUuid,
+      ...client,
+      lastSeen: now,
+      quarantined: quarantined ? 1 : 0
+    });
+
+    return { status: 'ok' };
+  });
 
-console.log('Server started successfully!'); 
 
+  // Event endpoint, so the userscript can report what broke, not just that users left
+  // POST /event { "app": "bluemarble", "name": "tileRequestFailed", "code": 404, "version": "0.83.0", "browser": "Chrome", "os": "Windows" }
+  // Events are anonymous. There is no UUID, and only allowlisted event names and a few bounded fields are kept
+  const eventRateLimitConfig = { rateLimit: { max: eventRateLimit, timeWindow: `${intervalDelivery} minutes` } };
+  fastify.post('/event', { config: eventRateLimitConfig }, async (request, reply) => {
+
+    // Validate the request body
+    const body = request.body || {};
+    const { app = defaultAppId, name, code = null } = body;
+    if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+    if (!apps.get(app).events.includes(name)) return reply.status(400).send({ error: 'Unknown event' });
+    if (code !== null && !(Number.isInteger(code) && code >= 0 && code <= 999)) return reply.status(400).send({ error: 'Invalid code' });
+    const clientError = validateClientFields(app, body);
+    if (clientError) return reply.status(400).send({ error: clientError });
+
+    if (isShuttingDown) return reply.status(503).send({ error: 'Server is shutting down' });
+    if (writeQueue.length >= maxQueueSize) {
+      reply.header('Retry-After', Math.ceil(writeFlushIntervalMs / 1000) || 1);
+      return reply.status(503).send({ error: 'Server is busy' });
+    }
 
+    writeQueue.push({
+      type: 'event',
+      app,
+      name,
+      code,
+      ...getClientFields(request, body),
+      lastSeen: clock()
+    });
+    metricEvents.inc({ app, name });
 
+    return { status: 'ok' };
+  });
 
-// HELPER FUNCTIONS
 
+  // Data deletion endpoint for GDPR/CCPA requests
+  // The userscript sends the same UUID it sends to /heartbeat: POST /delete { "uuid": "..." }
+  // The heartbeats of the UUID are deleted from every app
+  fastify.post('/delete', async (request, reply) => {
 
+    const { uuid } = request.body || {};
+    if (!uuid || typeof uuid !== 'string') return reply.status(400).send({ error: 'Invalid UUID' });
+    if (uuid.length > inputCharLimit) return reply.status(400).send({ error: 'UUID too long' });
 
+    const now = clock();
+    const hashes = hashUuidRecent(uuid, now);
 
+    // Remove anything that has not been written yet
+    let queuedDeleted = 0;
+    for (let i = writeQueue.length - 1; i >= 0; i--) {
+      if (hashes.includes(writeQueue[i].uuid)) {
+        writeQueue.splice(i, 1);
+        queuedDeleted++;
+      }
+    }
+    for (const app of apps.keys()) {
+      liveUsers.delete(`${app} ${hashUuidForSketch(uuid).toString('hex')}`);
+      for (const hash of hashes) liveUsers.delete(`${app} ${hash}`); // Seeded at startup
+    }
+
+    // Forget which IP sent the UUID. A quarantined IP stays quarantined until the end of the hour
+    for (const [key, entry] of uuidsPerIp) {
+      for (const hash of hashes) entry.uuids.delete(hash);
+      if (!entry.uuids.size && !entry.isQuarantined) uuidsPerIp.delete(key);
+    }
+
+    // Remove anything that has been written, and record the receipt
+    const receipt = crypto.randomUUID();
+    let heartbeatsDeleted = 0;
+    try {
+      db.transaction(() => {
+        heartbeatsDeleted = db.prepare(`DELETE FROM heartbeats WHERE uuid IN (${hashes.map(() => '?').join(', ')})`).run(...hashes).changes;
+        db.prepare(`
+          INSERT INTO deletionRequests (receipt, requestedAt, heartbeatsDeleted, queuedDeleted)
+          VALUES (?, ?, ?, ?)
+        `).run(receipt, now, heartbeatsDeleted, queuedDeleted);
+      })();
+    } catch (exception) {
+      console.error('Database delete error:', exception);
+      return reply.status(500).send({ error: 'Could not delete data' });
+    }
+
+    // Never log the UUID. Only how much was deleted.
+    console.log(`Data deletion request ${receipt}: deleted ${heartbeatsDeleted} stored and ${queuedDeleted} queued heartbeat${(heartbeatsDeleted + queuedDeleted) == 1 ? '' : 's'}`);
+
+    return {
+      status: 'deleted',
+      receipt,
+      requestedAt: now,
+      heartbeatsDeleted,
+      queuedDeleted
+    };
+  });
 
-function generateDistinctColors(n) {
-  const colors = [];
-  for (let i = 0; i < n; i++) {
-    // Evenly distribute hues, use full saturation and 40% lightness for vibrancy
-    const hue = Math.round((360 * i) / n);
-    colors.push(`hsl(${hue}, 80%, 40%)`);
-  }
-  return colors;
-}
 
-function combineSmallCounts(labels, data, threshold = 50) {
-  const newLabels = [];
-  const newData = [];
-  let otherCount = 0;
+  // Reading endpoints (the dashboard, charts and APIs) and the admin endpoints can be requested more often than the heartbeat
+  const readRateLimitConfig = { rateLimit: { max: readRateLimit, timeWindow: '1 minute' } };
 
-  for (let i = 0; i < labels.length; i++) {
-    if (data[i] < threshold) {
-      otherCount += data[i];
+  // The dashboard page. It is self-contained, and loads everything else from this server
+  const dashboardHtml = fs.readFileSync(`${__dirname}/dashboard.html`, 'utf8');
+  fastify.get('/', { config: readRateLimitConfig }, async (request, reply) => {
+    reply.type('text/html; charset=utf-8').send(dashboardHtml);
+  });
+
+  // Endpoint to get everything the dashboard shows, except the charts
+  // E.g. /api/summary?app=bluemarble
+  fastify.get('/api/summary', { config: readRateLimitConfig }, async (request, reply) => {
+
+    const app = request.query?.app ?? defaultAppId;
+    if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+
+    const now = clock();
+    const lastHour = db.prepare('SELECT onlineUsers FROM totalsHourly WHERE app = ? AND hourStart = ? AND gap = 0').get(app, startOfHour(now) - hourMs);
+    const chartData = buildChartData(defaultChartOptions.range, defaultChartOptions.timezone, now, app);
+
+    // The same totals as the pie charts, so small counts are combined into "Other" here too
+    const top = ({ labels, data }) => labels
+      .map((label, idx) => ({ label, count: data[idx] }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
+
+    return {
+      app,
+      name: apps.get(app).name,
+      onlineUsers: getPartialHour(now, app).onlineUsers,
+      onlineNow: getOnlineNow(app, now),
+      activeUsers: (({ daily, weekly, monthly }) => ({ daily, weekly, monthly }))(getActiveUsers(app, now)),
+      lastHourOnlineUsers: lastHour?.onlineUsers ?? null,
+      aggregatedUntil: getCheckpoint('aggregatedUntil'),
+      chartsGeneratedAt,
+      refreshMinutes: chartRefreshMinutes,
+      top: {
+        version: top(chartData.combinedVersionTotals),
+        browser: top(chartData.combinedBrowserTotals),
+        os: top(chartData.combinedOSTotals)
+      }
+    };
+  });
+
+  // Endpoint to get hourly totals as a chart
+  // E.g. /chart/hourly?app=bluemarble&type=stats&format=svg&range=7d&width=1200&height=600&theme=dark&timezone=Europe/Berlin
+  fastify.get('/chart/hourly', { config: readRateLimitConfig }, async (request, reply) => {
+
+    const query = request.query || {};
+    const type = query.type ?? 'main'; // Default to hourly line chart
+    const options = {
+      app: query.app ?? defaultChartOptions.app,
+      format: query.format ?? defaultChartOptions.format,
+      range: query.range ?? defaultChartOptions.range,
+      width: (query.width === undefined) ? defaultChartOptions.width : parseInt(query.width, 10),
+      height: (query.height === undefined) ? defaultChartOptions.height : parseInt(query.height, 10),
+      theme: query.theme ?? defaultChartOptions.theme,
+      timezone: query.timezone || defaultChartOptions.timezone
+    };
+
+    // Validate the query
+    if (!apps.has(options.app)) return reply.status(400).send({ error: 'Unknown app' });
+    if (!chartTypes.includes(type)) return reply.status(400).send({ error: 'Invalid chart type' });
+    if (!Object.hasOwn(chartFormats, options.format)) return reply.status(400).send({ error: `Invalid format (use ${Object.keys(chartFormats).join(', ')})` });
+    if (!Object.hasOwn(chartRanges, options.range)) return reply.status(400).send({ error: `Invalid range (use ${Object.keys(chartRanges).join(', ')})` });
+    if (!(options.width >= minChartSize && options.width <= maxChartWidth)) return reply.status(400).send({ error: `Invalid width (${minChartSize} to ${maxChartWidth})` });
+    if (!(options.height >= minChartSize && options.height <= maxChartHeight)) return reply.status(400).send({ error: `Invalid height (${minChartSize} to ${maxChartHeight})` });
+    if (!Object.hasOwn(chartThemes, options.theme)) return reply.status(400).send({ error: `Invalid theme (use ${Object.keys(chartThemes).join(', ')})` });
+    if (options.timezone && !isValidTimezone(options.timezone)) return reply.status(400).send({ error: 'Invalid timezone' });
+
+    let serveThisChart = undefined;
+    try {
+      serveThisChart = await getChart(type, options);
+    } catch (exception) {
+      console.error('Error rendering chart:', exception);
+    }
+
+    if (serveThisChart) {
+      reply.header('Cache-Control', 'max-age=60, must-revalidate'); // Cache for 60 seconds
+      reply.header('ETag', serveThisChart.etag);
+      reply.header('Last-Modified', new Date(serveThisChart.lastModified).toUTCString());
+      if (isNotModified(request, serveThisChart)) return reply.status(304).send(); // The client's copy is still the latest
+      if (options.format === 'csv') reply.header('Content-Disposition', `inline; filename="chart-${options.app}-${type}-${options.range}.csv"`);
+      reply.type(chartFormats[options.format]).send(serveThisChart.buffer);
     } else {
-      newLabels.push(labels[i]);
-      newData.push(data[i]);
+      reply.status(503).send({ error: 'Chart not available yet' });
     }
-  }
+  });
 
-  if (otherCount > 0) {
-    newLabels.push('Other');
-    newData.push(otherCount);
-  }
+  // Endpoint to get every release of an app, and how each one was adopted
+  // E.g. /api/releases?app=bluemarble
+  fastify.get('/api/releases', { config: readRateLimitConfig }, async (request, reply) => {
+
+    const app = request.query?.app ?? defaultAppId;
+    if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+
+    const now = clock();
+    const releases = getReleases(app);
+    const hours = getVersionHours(releases, now, app);
+    const latestHour = [...hours].reverse().find(hour => Object.keys(hour.version).length)?.version || {}; // The most recent hour with any users
+
+    // Version totals of the last 24 hours, newest version first
+    const last24Hours = hours.slice(-24);
+    const last24Totals = {};
+    for (const hour of last24Hours) mergeTotals(last24Totals, hour.version);
+
+    return {
+      app,
+      autoUpdateHours,
+      releases: releases.map(release => {
+        const { currentShare, hoursTo50, hoursTo90 } = computeAdoption(release, hours, minGroupSize);
+        return { ...release, currentShare, hoursTo50, hoursTo90 };
+      }),
+      ...groupVersionTotals(anonymizeTotals(last24Totals, last24Hours.length)),
+      stuck: findStuckVersions(anonymizeTotals(latestHour), releases, now, autoUpdateHours)
+    };
+  });
 
-  return { labels: newLabels, data: newData };
-}
+  // Endpoint to get the share of a release over time
+  fastify.get('/api/releases/:version', { config: readRateLimitConfig }, async (request, reply) => {
 
-function percentile(arr, p) {
-  if (!arr.length) return null;
-  const sorted = [...arr].sort((a, b) => a - b);
-  const idx = Math.floor(p * (sorted.length - 1));
-  return sorted[idx];
-}
+    const app = request.query?.app ?? defaultAppId;
+    if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+
+    const release = getReleases(app).find(release => release.version === request.params.version);
+    if (!release) return reply.status(404).send({ error: 'Unknown release' });
 
-function rollingStd(arr, window) {
-  return arr.map((_, idx) => {
-    const start = Math.max(0, idx - window + 1);
-    const slice = arr.slice(start, idx + 1);
-    const mean = slice.reduce((a, b) => a + b, 0) / slice.length;
-    const variance = slice.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / slice.length;
-    return Math.sqrt(variance);
+    // The shares are computed from the raw totals, but only published where neither side of them is a small group
+    return { app, ...release, ...computeAdoption(release, getVersionHours([release], clock(), app), minGroupSize) };
   });
-}
 
-function generateHourlyChartConfigMain(labels, dataOnlineUsers, uniqueVersions, uniqueBrowsers, uniqueOS, gridLineColor = 'rgba(255, 255, 255, 0.1)') {
-  return {
-    type: 'line',
-    data: {
-      labels,
-      datasets: [
-        {
-          label: 'Users',
-          data: dataOnlineUsers,
-          borderColor: 'rgba(75, 192, 192, 1)',
-          backgroundColor: 'rgba(75, 192, 192, 0.15)',
-          fill: true,
-          yAxisID: 'y',
-        },
-        {
-          label: 'Versions',
-          data: uniqueVersions,
-          borderColor: '#98e866',
-          backgroundColor: 'rgba(153, 102, 255, 0.15)',
-          fill: true,
-          yAxisID: 'y2',
-        },
-        {
-          label: 'Browsers',
-          data: uniqueBrowsers,
-          borderColor: 'rgba(255, 159, 64, 1)',
-          backgroundColor: 'rgba(255, 159, 64, 0.15)',
-          fill: true,
-          yAxisID: 'y2',
-        },
-        {
-          label: 'Operating Systems',
-          data: uniqueOS,
-          borderColor: 'rgba(255, 99, 132, 1)',
-          backgroundColor: 'rgba(255, 99, 132, 0.15)',
-          fill: true,
-          yAxisID: 'y2',
-        }
-      ]
-    },
-    options: {
-      responsive: false,
-      scales: {
-        x: {
-          title: {
-            display: true,
-            text: 'Time',
-            color: '#ffffff'
-          },
-          ticks: {
-            maxTicksLimit: 24,
-            color: '#ffffff'
-          },
-          grid: {
-            color: gridLineColor,
-            lineWidth: 2
-          }
-        },
-        y: {
-          title: {
-            display: true,
-            text: 'Online Users',
-            color: '#ffffff'
-          },
-          position: 'left',
-          ticks: {
-            color: '#ffffff',
-            callback: function(value) {
-              return Number.isInteger(value) ? value : '';
-            }
-          },
-          grid: {
-            color: gridLineColor
-          }
-        },
-        y2: {
-          title: {
-            display: true,
-            text: 'Computer Statistics',
-            color: '#ffffff'
-          },
-          position: 'right',
-          ticks: {
-            color: '#ffffff',
-            callback: function(value) {
-              return Number.isInteger(value) ? value : '';
-            }
-          },
-          grid: {
-            drawOnChartArea: true,
-            color: gridLineColor
-          }
-        }
-      },
-      plugins: {
-        legend: {
-          labels: {
-            color: '#ffffff'
+  // Admin endpoints, for maintenance without shelling into the server
+  // Every request needs "Authorization: Bearer <ADMIN_TOKEN>", and every action is written to the adminAudit table
+  fastify.register(async (admin) => {
+
+    // Rate limited before the token is checked, so the token can't be guessed by sending as many requests as it takes
+    admin.addHook('onRequest', fastify.rateLimit({ ...readRateLimitConfig.rateLimit, route: '/admin' }));
+
+    // Reject anything without the admin token. Without a token configured, the admin endpoints don't exist.
+    // Failed attempts are audited, with the IP hashed like the UUIDs
+    admin.addHook('onRequest', async (request, reply) => {
+      if (isAdmin(request)) return;
+      if (!adminToken) return reply.status(404).send({ error: 'Not found' });
+      auditAdminAction('unauthorized', { method: request.method, url: request.url, ip: hashUuid(getClientIp(request), clock()) });
+      return reply.status(401).send({ error: 'Unauthorized' });
+    });
+
+    // Add or update a release
+    // POST /admin/releases { "app": "bluemarble", "version": "0.83.0", "releasedAt": "2025-08-01T00:00:00Z" }
+    admin.post('/releases', { config: readRateLimitConfig }, async (request, reply) => {
+
+      const { app = defaultAppId, version, releasedAt } = request.body || {};
+      if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+      if (!version || typeof version !== 'string' || !parseVersion(version)) return reply.status(400).send({ error: 'Invalid version' });
+      if (version.length > inputCharLimit) return reply.status(400).send({ error: 'Version too long' });
+      const releasedAtMs = parseTimestamp(releasedAt === undefined ? undefined : String(releasedAt), clock());
+      if (Number.isNaN(releasedAtMs)) return reply.status(400).send({ error: 'Invalid releasedAt' });
+
+      saveRelease(validator.escape(version), releasedAtMs, app); // Escaped the same way the heartbeats are, so they match
+      console.log(`Release ${version} of ${app} registered as released at ${new Date(releasedAtMs).toUTCString()}`);
+      auditAdminAction('saveRelease', { app, version, releasedAt: releasedAtMs });
+
+      return { status: 'ok', app, version: validator.escape(version), releasedAt: releasedAtMs };
+    });
+
+    // Aggregate a time range again. Hourly totals are built from the heartbeats, so only hours that still have heartbeats are redone.
+    // The rollups are built from the hourly totals, e.g. after an hour was corrected
+    // POST /admin/aggregate { "from": "2025-08-01T00:00:00Z", "to": "2025-08-02T00:00:00Z", "interval": "daily" }
+    admin.post('/aggregate', { config: readRateLimitConfig }, async (request, reply) => {
+
+      const now = clock();
+      const body = request.body || {};
+      const interval = body.interval || 'hourly';
+      const from = parseTimestamp(body.from === undefined ? undefined : String(body.from), NaN);
+      const to = parseTimestamp(body.to === undefined ? undefined : String(body.to), now);
+
+      if (!Object.hasOwn(totalsIntervals, interval)) return reply.status(400).send({ error: 'Invalid interval' });
+      if (Number.isNaN(from)) return reply.status(400).send({ error: 'Invalid from' });
+      if (Number.isNaN(to)) return reply.status(400).send({ error: 'Invalid to' });
+      if (from >= to) return reply.status(400).send({ error: 'from must be before to' });
+      if (to - from > apiMaxRangeHours * hourMs) return reply.status(400).send({ error: `Range too large (max ${apiMaxRangeHours} hours)` });
+
+      // Every interval in the range, aligned to the start of its hour/day/week/month
+      const { table, intervalStartCol, startOf, nextStart, maxRows } = totalsIntervals[interval];
+
+      const aggregated = [];
+      const skipped = [];
+      for (let start = startOf(from); start < to; start = nextStart(start)) {
+        const end = nextStart(start);
+        if (interval === 'hourly') {
+          // Without heartbeats, aggregating again would overwrite the hour with 0 users
+          const hasHeartbeats = db.prepare('SELECT 1 FROM heartbeats WHERE lastSeen >= ? AND lastSeen < ? LIMIT 1').get(start, end);
+          if (!hasHeartbeats) {
+            skipped.push(start);
+            continue;
           }
-        },
-        datalabels: {
-          display: false // Disables data labels on the points
+          aggregateTotals('heartbeats', table, start, end, intervalStartCol, maxRows, end <= startOfHour(now)); // Heartbeats of the current hour are kept
+        } else {
+          rollupTotals('totalsHourly', table, start, end, 'hourStart', intervalStartCol, maxRows);
         }
+        aggregated.push(start);
+      }
+
+      chartCache.clear(); // The charts may show different data now
+      console.log(`Admin aggregated ${aggregated.length} ${interval} interval${aggregated.length == 1 ? '' : 's'} from ${new Date(from).toUTCString()} to ${new Date(to).toUTCString()}`);
+      auditAdminAction('aggregate', { interval, from, to }, { aggregated, skipped });
+
+      return { status: 'ok', interval, aggregated, skipped };
+    });
+
+    // Correct an hour of totals of an app. Only the given fields are changed
+    // PATCH /admin/totals/1754092800000?app=bluemarble { "onlineUsers": 1234, "gap": false, "version": { "0.83.0": 1234 } }
+    admin.patch('/totals/:hourStart', { config: readRateLimitConfig }, async (request, reply) => {
+
+      const app = request.query?.app ?? defaultAppId;
+      const hourStart = Number(request.params.hourStart);
+      const body = request.body || {};
+      const row = db.prepare('SELECT * FROM totalsHourly WHERE app = ? AND hourStart = ?').get(app, hourStart);
+      if (!row) return reply.status(404).send({ error: 'Unknown hour' });
+
+      // Validate the corrections
+      const changes = {};
+      if (body.onlineUsers !== undefined) {
+        if (body.onlineUsers !== null && !(Number.isSafeInteger(body.onlineUsers) && body.onlineUsers >= 0)) return reply.status(400).send({ error: 'Invalid onlineUsers' });
+        changes.onlineUsers = body.onlineUsers;
       }
-    },
-    plugins: [{
-      id: 'customBackgroundColor',
-      beforeDraw: (chart) => {
-        const ctx = chart.ctx;
-        ctx.save();
-        ctx.globalCompositeOperation = 'destination-over';
-        ctx.fillStyle = '#2450A4';
-        ctx.fillRect(0, 0, chart.width, chart.height);
-        ctx.restore();
+      if (body.gap !== undefined) {
+        if (typeof body.gap !== 'boolean') return reply.status(400).send({ error: 'Invalid gap' });
+        changes.gap = body.gap ? 1 : 0;
       }
-    }]
-  };
-}
+      for (const dimension of totalsDimensions) {
+        if (body[dimension] === undefined) continue;
+        const counts = body[dimension];
+        const isValidCounts = counts && (typeof counts === 'object') && !Array.isArray(counts)
+          && Object.entries(counts).every(([key, count]) => key.length <= inputCharLimit && Number.isSafeInteger(count) && count >= 0);
+        if (!isValidCounts) return reply.status(400).send({ error: `Invalid ${dimension}` });
+        changes[dimension] = JSON.stringify(Object.fromEntries(Object.entries(counts).map(([key, count]) => [validator.escape(key), count])));
+      }
+      if (!Object.keys(changes).length) return reply.status(400).send({ error: 'Nothing to change' });
 
-function generateHourlyChartConfigStats(labels, dataOnlineUsers, ceiling, floor, rollingAvg) {
+      const columns = Object.keys(changes);
+      db.prepare(`UPDATE totalsHourly SET ${columns.map(column => `${column} = @${column}`).join(', ')} WHERE app = @app AND hourStart = @hourStart`).run({ ...changes, app, hourStart });
 
-  // Calculates the Bollinger Bands
-  const window = 24;
-  const stdOnlineUsers = rollingStd(dataOnlineUsers, window);
-  const upperBand = rollingAvg.map((avg, i) => avg + 2 * stdOnlineUsers[i]);
-  const lowerBand = rollingAvg.map((avg, i) => avg - 2 * stdOnlineUsers[i]);
+      chartCache.clear();
+      console.log(`Admin corrected ${columns.join(', ')} of the hour ${new Date(hourStart).toUTCString()} of ${app}`);
+      auditAdminAction('correctHour', { app, hourStart, ...changes }, { before: Object.fromEntries(columns.map(column => [column, row[column]])) });
 
-  return {
-    type: 'line',
-    data: {
-      labels,
-      datasets: [
-        {
-          label: 'Online Users',
-          data: dataOnlineUsers,
-          borderColor: 'rgba(75, 192, 192, 1)',
-          backgroundColor: 'rgba(75, 192, 192, 0.15)',
-          fill: true,
-          yAxisID: 'y',
-        },
-        {
-          label: 'Resistance (Ceiling)',
-          data: ceiling,
-          borderColor: '#FFD700',
-          borderDash: [8, 4],
-          pointRadius: 0,
-          fill: false,
-          yAxisID: 'y',
-        },
-        {
-          label: 'Support (Floor)',
-          data: floor,
-          borderColor: '#00FF00',
-          borderDash: [8, 4],
-          pointRadius: 0,
-          fill: false,
-          yAxisID: 'y',
-        },
-        {
-          label: '24h Simple Moving Average',
-          data: rollingAvg,
-          borderColor: '#FF8C00',
-          borderWidth: 2,
-          pointRadius: 0,
-          fill: false,
-          yAxisID: 'y',
-        },
-        {
-          label: 'Bollinger Upper',
-          data: upperBand,
-          borderColor: '#FF0000',
-          borderDash: [4, 4],
-          pointRadius: 0,
-          fill: false,
-          yAxisID: 'y',
-        },
-        {
-          label: 'Bollinger Lower',
-          data: lowerBand,
-          borderColor: '#f200ff',
-          borderDash: [4, 4],
-          pointRadius: 0,
-          fill: false,
-          yAxisID: 'y',
+      return { status: 'ok', app, hourStart, changed: columns };
+    });
+
+    // Delete an hour of totals of an app, e.g. an hour that was inflated by fake heartbeats
+    // DELETE /admin/totals/1754092800000?app=bluemarble
+    admin.delete('/totals/:hourStart', { config: readRateLimitConfig }, async (request, reply) => {
+
+      const app = request.query?.app ?? defaultAppId;
+      const hourStart = Number(request.params.hourStart);
+      const row = db.prepare('SELECT * FROM totalsHourly WHERE app = ? AND hourStart = ?').get(app, hourStart);
+      if (!row) return reply.status(404).send({ error: 'Unknown hour' });
+
+      db.prepare('DELETE FROM totalsHourly WHERE app = ? AND hourStart = ?').run(app, hourStart);
+
+      chartCache.clear();
+      console.log(`Admin deleted the hour ${new Date(hourStart).toUTCString()} of ${app}`);
+      auditAdminAction('deleteHour', { app, hourStart }, { deleted: row });
+
+      return { status: 'ok', app, hourStart };
+    });
+
+    // Generate the charts now, instead of waiting for the next cron job
+    admin.post('/charts', { config: readRateLimitConfig }, async () => {
+      const previousGeneratedAt = chartsGeneratedAt;
+      await generateHourlyChart();
+      const isGenerated = chartsGeneratedAt !== previousGeneratedAt; // generateHourlyChart only logs its errors
+      auditAdminAction('generateCharts', {}, { isGenerated, chartsGeneratedAt });
+      return { status: isGenerated ? 'ok' : 'failed', chartsGeneratedAt };
+    });
+
+    // Every IP that is over a rate limit right now, and whether it is banned
+    admin.get('/rate-limits', { config: readRateLimitConfig }, async () => {
+      return { rateLimited: getRateLimited(clock()) };
+    });
+
+    // Lift the rate limit and ban of an IP
+    admin.delete('/rate-limits/:key', { config: readRateLimitConfig }, async (request, reply) => {
+      const key = request.params.key;
+      const removed = resetRateLimit(key);
+      if (!removed) return reply.status(404).send({ error: 'Key is not rate limited' });
+
+      console.log(`Admin lifted the rate limit of ${key}`);
+      auditAdminAction('resetRateLimit', { key }, { stores: removed });
+
+      return { status: 'ok', key };
+    });
+
+    // The most recent admin actions, newest first
+    admin.get('/audit', { config: readRateLimitConfig }, async (request) => {
+      const limit = Math.min(Math.max(parseInt(request.query?.limit, 10) || 100, 1), 1000); // Default to 100, at most 1000
+      const actions = db.prepare('SELECT * FROM adminAudit ORDER BY id DESC LIMIT ?').all(limit);
+      return { actions: actions.map(action => ({ ...action, params: JSON.parse(action.params), result: JSON.parse(action.result) })) };
+    });
+  }, { prefix: '/admin' });
+
+
+  // Endpoint for Prometheus to scrape
+  fastify.get('/metrics', { config: readRateLimitConfig }, async (request, reply) => {
+    reply.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.renderMetrics());
+  });
+
+  // Liveness endpoint. If this answers, the process is alive
+  fastify.get('/healthz', { config: readRateLimitConfig }, async () => {
+    return { status: 'ok', uptimeSeconds: Math.round(process.uptime()) };
+  });
+
+  // Readiness endpoint. Checks that the database, queue, charts, aggregation and cron jobs are all working
+  // Answers 503 if any check fails, so the tunnel/monitor can tell when the server is up but not working
+  fastify.get('/readyz', { config: readRateLimitConfig }, async (request, reply) => {
+
+    const now = clock();
+    const checks = {};
+
+    // The database can be read from and written to
+    try {
+      setCheckpoint('readyCheckAt', now);
+      checks.database = { ok: getCheckpoint('readyCheckAt') === now };
+    } catch (exception) {
+      console.error('Readiness database check failed:', exception);
+      checks.database = { ok: false, error: exception.message };
+    }
+
+    // The queue is not about to reject heartbeats
+    checks.queue = { ok: writeQueue.length < maxQueueSize, depth: writeQueue.length, maxQueueSize };
+
+    // The charts were generated recently. Two missed refreshes means generating is failing
+    const chartMaxAgeMs = 2 * chartRefreshMinutes * 60 * 1000 + 60 * 1000;
+    checks.charts = {
+      ok: !!chartsGeneratedAt && (now - chartsGeneratedAt <= chartMaxAgeMs),
+      generatedAt: chartsGeneratedAt,
+      maxAgeSeconds: chartMaxAgeMs / 1000
+    };
+
+    // The last complete hour was aggregated. The hourly job gets 10 minutes after the hour to do it
+    const aggregatedUntil = getCheckpoint('aggregatedUntil');
+    checks.aggregation = {
+      ok: aggregatedUntil !== null && aggregatedUntil >= startOfHour(now - 10 * 60 * 1000),
+      aggregatedUntil
+    };
+
+    // The cron jobs are running. Every 5 minute job marks the server as alive
+    const aliveAt = getCheckpoint('aliveAt');
+    checks.cron = { ok: aliveAt !== null && (now - aliveAt <= chartMaxAgeMs), aliveAt };
+
+    checks.shutdown = { ok: !isShuttingDown };
+
+    const isReady = Object.values(checks).every(check => check.ok);
+    reply.status(isReady ? 200 : 503).send({ status: isReady ? 'ok' : 'fail', checkedAt: now, checks });
+  });
+
+  // Endpoint to get the state of the write queue
+  fastify.get('/api/queue', { config: readRateLimitConfig }, async () => {
+    return {
+      depth: writeQueue.length,
+      maxQueueSize,
+      batchSize: writeBatchSize,
+      flushIntervalMs: writeFlushIntervalMs,
+      ...queueStats
+    };
+  });
+
+
+  // Endpoint to get how many users are online right now, and every bucket of the last hours
+  // E.g. /api/online-now?app=bluemarble&hours=6
+  fastify.get('/api/online-now', { config: readRateLimitConfig }, async (request, reply) => {
+
+    const now = clock();
+    const app = request.query?.app ?? defaultAppId;
+    const hours = (request.query?.hours === undefined) ? 24 : Number(request.query.hours); // Default to the last 24 hours
+
+    // Validate the query
+    if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+    if (!(hours > 0 && hours <= onlineNowRetentionHours)) return reply.status(400).send({ error: `Invalid hours (up to ${onlineNowRetentionHours})` });
+
+    return {
+      app,
+      onlineNow: getOnlineNow(app, now),
+      windowMinutes: intervalDelivery,
+      bucketMinutes: chartRefreshMinutes,
+      buckets: db.prepare('SELECT bucketStart, onlineUsers FROM totalsOnlineNow WHERE app = ? AND bucketStart >= ? ORDER BY bucketStart ASC').all(app, now - hours * hourMs)
+    };
+  });
+
+  // Endpoint to get the estimated distinct users of the last day, week and month, and of each of the last 30 days
+  // E.g. /api/active-users?app=bluemarble
+  fastify.get('/api/active-users', { config: readRateLimitConfig }, async (request, reply) => {
+
+    const app = request.query?.app ?? defaultAppId;
+    if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+
+    return { app, ...getActiveUsers(app, clock()) };
+  });
+
+  // Endpoint to get hourly event totals as JSON
+  // E.g. /api/events?app=bluemarble&from=2025-08-01T00:00:00Z&to=1754092800000&name=tileRequestFailed
+  fastify.get('/api/events', { config: readRateLimitConfig }, async (request, reply) => {
+
+    const now = clock();
+    const app = request.query?.app ?? defaultAppId;
+    const from = parseTimestamp(request.query?.from, now - 24 * 60 * 60 * 1000); // Default to the last 24 hours
+    const to = parseTimestamp(request.query?.to, now);
+    const name = request.query?.name;
+
+    // Validate the query
+    if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+    if (name !== undefined && !apps.get(app).events.includes(name)) return reply.status(400).send({ error: 'Unknown event' });
+    if (Number.isNaN(from)) return reply.status(400).send({ error: 'Invalid from' });
+    if (Number.isNaN(to)) return reply.status(400).send({ error: 'Invalid to' });
+    if (from > to) return reply.status(400).send({ error: 'from must be before to' });
+    if ((to - from) > apiMaxRangeHours * hourMs) return reply.status(400).send({ error: `Range too large (max ${apiMaxRangeHours} hours)` });
+
+    const rows = db.prepare('SELECT * FROM totalsEventsHourly WHERE app = ? AND hourStart >= ? AND hourStart < ? ORDER BY hourStart ASC, name ASC').all(app, from, to)
+      .map(row => ({ ...row, partial: false }));
+
+    // Add the hour in progress from the raw events. It replaces any rows of the current hour, since those were only aggregated up to a shutdown
+    const currentHourStart = startOfHour(now);
+    if ((currentHourStart >= from) && (currentHourStart < to)) {
+      const partialRows = db.prepare(`SELECT app, name, code, ${totalsDimensions.join(', ')} FROM events WHERE app = ? AND lastSeen >= ? AND lastSeen < ?`).all(app, currentHourStart, now);
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (rows[i].hourStart === currentHourStart) rows.splice(i, 1);
+      }
+      rows.push(...tallyEvents(partialRows).map(totals => ({ ...totals, hourStart: currentHourStart, lastSeen: now, partial: true })));
+    }
+
+    return {
+      app,
+      from,
+      to,
+      rows: rows
+        .filter(row => (name === undefined) || (row.name === name))
+        .map(row => ({
+          hourStart: row.hourStart,
+          name: row.name,
+          partial: row.partial,
+          count: row.count,
+          codes: anonymizeTotals(JSON.parse(row.codes || '{}')),
+          ...Object.fromEntries(totalsDimensions.map(dimension => [dimension, anonymizeTotals(JSON.parse(row[dimension] || '{}'))]))
+        }))
+    };
+  });
+
+  // Endpoint to get hourly totals as JSON
+  // E.g. /api/totals?app=bluemarble&from=2025-08-01T00:00:00Z&to=1754092800000&dimension=version&interval=daily
+  fastify.get('/api/totals', { config: readRateLimitConfig }, async (request, reply) => {
+
+    const now = clock();
+    const app = request.query?.app ?? defaultAppId;
+    const from = parseTimestamp(request.query?.from, now - 24 * 60 * 60 * 1000); // Default to the last 24 hours
+    const to = parseTimestamp(request.query?.to, now);
+    const dimension = request.query?.dimension;
+    const interval = request.query?.interval || 'hourly';
+
+    // Validate the query
+    if (!apps.has(app)) return reply.status(400).send({ error: 'Unknown app' });
+    if (Number.isNaN(from)) return reply.status(400).send({ error: 'Invalid from' });
+    if (Number.isNaN(to)) return reply.status(400).send({ error: 'Invalid to' });
+    if (from > to) return reply.status(400).send({ error: 'from must be before to' });
+    if (dimension !== undefined && !totalsDimensions.includes(dimension)) return reply.status(400).send({ error: 'Invalid dimension' });
+    if (!Object.hasOwn(totalsIntervals, interval)) return reply.status(400).send({ error: 'Invalid interval' });
+    // The rollup tables are already bounded by their retention, so only the hourly range is limited
+    if ((interval === 'hourly') && ((to - from) > apiMaxRangeHours * 60 * 60 * 1000)) return reply.status(400).send({ error: `Range too large (max ${apiMaxRangeHours} hours)` });
+
+    const { table, intervalStartCol } = totalsIntervals[interval];
+    const rows = db.prepare(`SELECT * FROM ${table} WHERE app = ? AND ${intervalStartCol} >= ? AND ${intervalStartCol} < ? ORDER BY ${intervalStartCol} ASC`).all(app, from, to);
+
+    // Add the partial hour the same way the charts do.
+    // It replaces any row for the current hour, since that row was only finalized up to a shutdown.
+    const partialHour = (interval === 'hourly') ? getPartialHour(now, app) : null;
+    const hasPartialHour = !!partialHour && (partialHour.hourStart >= from) && (partialHour.hourStart < to);
+    if (hasPartialHour) {
+      const existingIndex = rows.findIndex(row => row.hourStart === partialHour.hourStart);
+      if (existingIndex !== -1) rows.splice(existingIndex, 1);
+      rows.push(partialHour);
+    }
+
+    return {
+      app,
+      from,
+      to,
+      interval,
+      dimension: dimension || null,
+      rows: rows.map(row => {
+        const result = {
+          [intervalStartCol]: row[intervalStartCol],
+          lastSeen: row.lastSeen,
+          partial: hasPartialHour && (row === partialHour),
+          gap: !!row.gap, // The server was down, so onlineUsers is null
+          onlineUsers: row.onlineUsers
+        };
+        // Rollups also know the busiest hour, and how many hours they were built from
+        if (interval !== 'hourly') {
+          result.peakOnlineUsers = row.peakOnlineUsers;
+          result.hours = row.hours;
         }
-      ]
-    },
-    options: {
-      responsive: false,
-      scales: {
-        x: {
-          title: {
-            display: true,
-            text: 'Time',
-            color: '#ffffff'
-          },
-          ticks: {
-            maxTicksLimit: 24,
-            color: '#ffffff'
-          },
-          grid: {
-            color: '#3690EA',
-            lineWidth: 2
-          }
-        },
-        y: {
-          title: {
-            display: true,
-            text: 'Online Users',
-            color: '#ffffff'
-          },
-          position: 'left',
-          ticks: {
-            color: '#ffffff',
-            callback: function(value) {
-              return Number.isInteger(value) ? value : '';
-            }
-          },
-          grid: {
-            color: '#3690EA'
-          }
+        // Only include the requested dimension, or all of them if none was requested
+        for (const key of (dimension ? [dimension] : totalsDimensions)) {
+          result[key] = anonymizeTotals(JSON.parse(row[key] || '{}'), row.hours ?? 1);
         }
-      },
-      plugins: {
-        legend: {
-          labels: {
-            color: '#ffffff'
-          }
-        },
-        datalabels: {
-          display: false // Disables data labels on the points
+        return result;
+      })
+    };
+  });
+
+  // Load the release registry
+  loadReleasesFile(releasesFile);
+
+  // Report what the last run did and did not aggregate
+  const startedAt = clock();
+  const lastShutdownAt = getCheckpoint('shutdownAt');
+  const lastAggregatedUntil = getCheckpoint('aggregatedUntil');
+  const lastAliveAt = Math.max(lastShutdownAt || 0, getCheckpoint('aliveAt') || 0) || null;
+  if (lastShutdownAt) {
+    console.log(`Last clean shutdown at ${new Date(lastShutdownAt).toUTCString()}. Hours were aggregated until ${new Date(lastAggregatedUntil).toUTCString()}`);
+  } else if (lastAggregatedUntil) {
+    console.warn(`The last run did not shut down cleanly! Hours after ${new Date(lastAggregatedUntil).toUTCString()} were not aggregated`);
+  }
+  setCheckpoint('shutdownAt', null); // Cleared until this run shuts down cleanly
+  setCheckpoint('aliveAt', startedAt);
+
+  // Catch up on every hour that was missed while the server was down
+  try {
+    catchUpHours(startedAt, lastAliveAt, startedAt);
+    console.log(`Caught up on hourly totals until ${new Date(getCheckpoint('aggregatedUntil')).toUTCString()}`);
+  } catch (exception) {
+    console.error('Error catching up on hourly totals:', exception);
+  }
+
+  // Then on every day, week and month, which are rolled up from the hourly totals
+  for (const interval of ['daily', 'weekly', 'monthly']) {
+    try {
+      catchUpRollups(interval, startedAt);
+    } catch (exception) {
+      console.error(`Error catching up on ${interval} totals:`, exception);
+    }
+  }
+
+  // Generate once at startup
+  if (isCronEnabled) generateHourlyChart();
+
+  // Stop accepting heartbeats as soon as the server starts closing. In-flight requests still finish
+  fastify.addHook('preClose', async () => {
+    isShuttingDown = true;
+  });
+
+  // Once every request has finished, write the queue, aggregate what is left of the current hour, and close everything
+  fastify.addHook('onClose', async () => {
+    for (const task of cronTasks) task.stop();
+    clearInterval(queueInterval);
+    await chartPool.close();
+
+    // Write everything that is still in the queue
+    drainQueue();
+
+    // Aggregate every complete hour, then the current hour so far.
+    // The current hour's heartbeats are kept, and the checkpoint stays at the start of the hour,
+    // so the next start aggregates the whole hour again once it is complete.
+    const endTime = clock();
+    catchUpHours(endTime);
+    aggregateTotals('heartbeats', 'totalsHourly', startOfHour(endTime), endTime, 'hourStart', retentionHours, false);
+    aggregateEvents(startOfHour(endTime), endTime, false);
+    saveSketches();
+    setCheckpoint('shutdownAt', endTime);
+    console.log(`Aggregated hours until ${new Date(getCheckpoint('aggregatedUntil')).toUTCString()}, and the current hour until ${new Date(endTime).toUTCString()}`);
+
+    db.close();
+  }); 
+
+
+
+
+  // HELPER FUNCTIONS
+
+
+
+
+
+  // Every known release of an app, newest version first
+  function getReleases(app = defaultAppId) {
+    return db.prepare('SELECT version, releasedAt FROM releases WHERE app = ?').all(app)
+      .sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  // Adds or updates a release of an app
+  function saveRelease(version, releasedAt, app = defaultAppId) {
+    db.prepare(`
+      INSERT INTO releases (app, version, releasedAt) VALUES (?, ?, ?)
+      ON CONFLICT(app, version) DO UPDATE SET releasedAt = excluded.releasedAt
+    `).run(app, version, releasedAt);
+  }
+
+  // Loads releases from a JSON file: [{ "app": "bluemarble", "version": "0.83.0", "releasedAt": "2025-08-01T00:00:00Z" }, ...]
+  // Releases without an app are releases of Blue Marble
+  function loadReleasesFile(path) {
+    if (!fs.existsSync(path)) return;
+
+    try {
+      const releases = JSON.parse(fs.readFileSync(path, 'utf8'));
+      for (const { app = defaultAppId, version, releasedAt } of releases) {
+        const releasedAtMs = parseTimestamp(String(releasedAt), NaN);
+        if (!apps.has(app) || !parseVersion(version) || Number.isNaN(releasedAtMs)) {
+          console.warn(`Skipping invalid release in ${path}:`, { app, version, releasedAt });
+          continue;
         }
+        saveRelease(validator.escape(version), releasedAtMs, app);
       }
-    },
-    plugins: [{
-      id: 'customBackgroundColor',
-      beforeDraw: (chart) => {
-        const ctx = chart.ctx;
-        ctx.save();
-        ctx.globalCompositeOperation = 'destination-over';
-        ctx.fillStyle = '#2450A4';
-        ctx.fillRect(0, 0, chart.width, chart.height);
-        ctx.restore();
-      }
-    }]
-  };
-}
+      console.log(`Loaded ${releases.length} release${releases.length == 1 ? '' : 's'} from ${path}`);
+    } catch (exception) {
+      console.error(`Error loading releases from ${path}:`, exception);
+    }
+  }
 
-function generateHourlyChartConfigPie(title, labels, data, colors) {
-  return {
-    type: 'pie',
-    data: {
-      labels: labels,
-      datasets: [{
-        label: title,
-        data: data,
-        backgroundColor: colors,
-        borderColor: '#fff',
-        borderWidth: 2
-      }]
-    },
-    options: {
-      plugins: {
-        legend: { labels: { color: '#ffffff' } },
-        datalabels: {
-          color: '#fff',
-          font: { weight: 'bold' },
-          formatter: function(value, context) {
-            // Only show label if slice is at least 5% of total
-            const total = context.dataset.data.reduce((a, b) => a + b, 0);
-            const percent = value / total;
-            return percent > 0.05 ? context.chart.data.labels[context.dataIndex] : '';
-          }
-        },
-        title: {
-          display: true,
-          text: title,
-          color: '#ffffff',
-          font: { size: 22 }
+  // Version totals of every hour of an app since the oldest release, oldest first. Includes the partial hour.
+  // These are the raw totals, so a new release counts from its first user. Anonymize any counts taken from them before publishing
+  function getVersionHours(releases, now, app = defaultAppId) {
+    const oldestRelease = Math.min(now, ...releases.map(release => release.releasedAt));
+    const from = Math.max(startOfHour(oldestRelease), now - apiMaxRangeHours * hourMs);
+    const rows = db.prepare('SELECT hourStart, version FROM totalsHourly WHERE app = ? AND hourStart >= ? AND hourStart < ? AND gap = 0 ORDER BY hourStart ASC').all(app, from, startOfHour(now));
+    rows.push(getPartialHour(now, app));
+    return rows.map(row => ({ hourStart: row.hourStart, version: JSON.parse(row.version || '{}') }));
+  }
+
+  // Loads the apps from a JSON file: { "myscript": { "name": "My Script", "allowedVersions": ["1.0.0"], "rateLimit": 3, "chartTitle": "My Script", "events": ["scriptError"] }, ... }
+  // Blue Marble is always an app, and can be configured in the file too
+  function loadAppsFile(path) {
+    const apps = new Map([[defaultAppId, { ...defaultAppConfig }]]);
+    if (!fs.existsSync(path)) return apps;
+
+    try {
+      const config = JSON.parse(fs.readFileSync(path, 'utf8'));
+      for (const [id, app] of Object.entries(config)) {
+        if (!/^[a-z0-9-]{1,32}$/.test(id) || !app || (typeof app !== 'object')) {
+          console.warn(`Skipping invalid app in ${path}:`, id);
+          continue;
         }
+        apps.set(id, {
+          name: (typeof app.name === 'string') ? app.name : id,
+          allowedVersions: Array.isArray(app.allowedVersions) ? app.allowedVersions.map(String) : defaultAppConfig.allowedVersions,
+          rateLimit: (Number.isSafeInteger(app.rateLimit) && app.rateLimit > 0) ? app.rateLimit : defaultAppConfig.rateLimit,
+          chartTitle: (typeof app.chartTitle === 'string') ? app.chartTitle : defaultAppConfig.chartTitle,
+          events: Array.isArray(app.events) ? app.events.filter(name => /^[A-Za-z0-9_.-]{1,50}$/.test(name)) : defaultAppConfig.events
+        });
+      }
+      console.log(`Loaded ${apps.size} app${apps.size == 1 ? '' : 's'} from ${path}`);
+    } catch (exception) {
+      console.error(`Error loading apps from ${path}:`, exception);
+    }
+
+    return apps;
+  }
+
+  // Validates the version, browser and OS a client sent. Returns the error, or null if they are valid
+  function validateClientFields(app, { version, browser, os }) {
+    if (version && typeof version !== 'string') return 'Invalid version';
+    if (version && version.length > inputCharLimit) return 'Version too long';
+    if (browser && typeof browser !== 'string') return 'Invalid browser';
+    if (browser && browser.length > inputCharLimit) return 'Browser too long';
+    if (os && typeof os !== 'string') return 'Invalid OS';
+    if (os && os.length > inputCharLimit) return 'OS too long';
+    const allowedVersions = apps.get(app).allowedVersions;
+    if (allowedVersions && !allowedVersions.includes(version)) return 'Version not allowed';
+    return null;
+  }
+
+  // Classifies the browser and OS of a client, and sanitizes what it sent for the database.
+  // The browser and OS come from the User-Agent. What the userscript sent is only used when the User-Agent doesn't say, and then only after it is normalized
+  function getClientFields(request, { version, browser, os }) {
+    const userAgent = parseUserAgent(request.headers['user-agent']);
+    const normalizedBrowser = userAgent.browser || normalizeName(browser);
+    const normalizedOs = userAgent.os || normalizeName(os);
+
+    return {
+      version: version ? validator.escape(version) : null,
+      browser: normalizedBrowser ? validator.escape(normalizedBrowser) : null,
+      os: normalizedOs ? validator.escape(normalizedOs) : null,
+      browserVersion: (userAgent.browser && userAgent.browserMajor) ? `${userAgent.browser} ${userAgent.browserMajor}` : null, // E.g. "Chrome 126"
+      engine: userAgent.engine
+    };
+  }
+
+  // Groups rows by their app. Every app gets a group, even without rows, so it is stored as 0 users instead of missing
+  function groupRowsByApp(rows) {
+    const groups = new Map([...apps.keys()].map(app => [app, []]));
+    for (const row of rows) {
+      if (!groups.has(row.app)) groups.set(row.app, []); // An app that was removed from the config still has its rows aggregated
+      groups.get(row.app).push(row);
+    }
+    return groups;
+  }
+
+  // Is the request authorized with the admin token?
+  function isAdmin(request) {
+    if (!adminToken) return false; // The admin endpoints are disabled
+
+    const token = Buffer.from((request.headers.authorization || '').replace(/^Bearer /, ''));
+    const expected = Buffer.from(adminToken);
+    return (token.length === expected.length) && crypto.timingSafeEqual(token, expected);
+  }
+
+  // Reads a checkpoint. Returns null if it was never set
+  function getCheckpoint(name) {
+    return db.prepare('SELECT value FROM checkpoints WHERE name = ?').get(name)?.value ?? null;
+  }
+
+  // Writes a checkpoint
+  function setCheckpoint(name, value) {
+    db.prepare(`
+      INSERT INTO checkpoints (name, value) VALUES (?, ?)
+      ON CONFLICT(name) DO UPDATE SET value = excluded.value
+    `).run(name, value);
+  }
+
+  // Writes an admin action to the audit table
+  function auditAdminAction(action, params = {}, result = {}) {
+    db.prepare('INSERT INTO adminAudit (performedAt, action, params, result) VALUES (?, ?, ?, ?)').run(clock(), action, JSON.stringify(params), JSON.stringify(result));
+  }
+
+  // Counts how many rows there are of each version, browser, OS, etc.
+  // Returns an object of totals for each dimension: { version: {"1.0.0": 10}, browser: {"Chrome": 10}, ... }
+  function tallyRows(rows) {
+    const totals = Object.fromEntries(totalsDimensions.map(dimension => [dimension, {}]));
+
+    for (const row of rows) {
+      for (const dimension of totalsDimensions) {
+        const value = row[dimension];
+        if (value) totals[dimension][value] = (totals[dimension][value] || 0) + 1;
+      }
+    }
+
+    return totals;
+  }
+
+  // Adds the counts of one totals object into another
+  function mergeTotals(target, source) {
+    for (const [key, count] of Object.entries(source)) {
+      target[key] = (target[key] || 0) + count;
+    }
+    return target;
+  }
+
+  // Start of the hour (local time) that the timestamp is in
+  function startOfHour(timestamp) {
+    const date = new Date(timestamp);
+    date.setMinutes(0, 0, 0);
+    return date.getTime();
+  }
+
+  // Start of the day (local time) that the timestamp is in
+  function startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  // Start of the week (Monday, local time) that the timestamp is in
+  function startOfWeek(timestamp) {
+    const date = new Date(startOfDay(timestamp));
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7)); // getDay() is 0 for Sunday
+    return date.getTime();
+  }
+
+  // Start of the month (local time) that the timestamp is in
+  function startOfMonth(timestamp) {
+    const date = new Date(startOfDay(timestamp));
+    date.setDate(1);
+    return date.getTime();
+  }
+
+  /**
+   * Turns the data of a Chart.js config into CSV, so the CSV is exactly what the chart shows.
+   * Line charts get one column per dataset, and pie charts get one row per slice.
+   * @param {Object} config - A Chart.js config
+   * @returns {string} CSV with a header row
+   */
+  function chartConfigToCsv(config) {
+    const { labels, datasets } = config.data;
+    const header = [(config.type === 'pie') ? 'Label' : 'Time', ...datasets.map(dataset => dataset.label)];
+    const lines = [header, ...labels.map((label, idx) => [label, ...datasets.map(dataset => dataset.data[idx])])];
+    return lines.map(line => line.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Quotes a CSV field when needed. Text that a spreadsheet would run as a formula is prefixed with '
+  function toCsvField(value) {
+    if (value === null || value === undefined) return ''; // Gaps
+    if (typeof value === 'number') return String(Math.round(value * 1000) / 1000);
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Does the client already have this chart? If-None-Match wins over If-Modified-Since, like the HTTP spec says
+  function isNotModified(request, chart) {
+    const ifNoneMatch = request.headers['if-none-match'];
+    if (ifNoneMatch) return ifNoneMatch.split(',').some(etag => ['*', chart.etag].includes(etag.trim().replace(/^W\//, '')));
+    const ifModifiedSince = Date.parse(request.headers['if-modified-since']);
+    return !Number.isNaN(ifModifiedSince) && (ifModifiedSince >= chart.lastModified);
+  }
+
+  // Is this an IANA timezone that Intl knows? (e.g. "America/New_York")
+  function isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Parses a query parameter as either a Unix timestamp in ms or a date string.
+  // Returns the fallback when the value is missing, and NaN when it can't be parsed.
+  function parseTimestamp(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return Date.parse(value);
+  }
+
+  function combineSmallCounts(labels, data, threshold = 50) {
+    const newLabels = [];
+    const newData = [];
+    let otherCount = 0;
+
+    for (let i = 0; i < labels.length; i++) {
+      if ((data[i] < threshold) || (labels[i] === 'Other')) { // A group that is already called "Other" is merged, instead of listed twice
+        otherCount += data[i];
+      } else {
+        newLabels.push(labels[i]);
+        newData.push(data[i]);
       }
-    },
-    plugins: [{
-      id: 'customBackgroundColor',
-      beforeDraw: (chart) => {
-        const ctx = chart.ctx;
-        ctx.save();
-        ctx.globalCompositeOperation = 'destination-over';
-        ctx.fillStyle = '#2450A4';
-        ctx.fillRect(0, 0, chart.width, chart.height);
-        ctx.restore();
+    }
+
+    if (otherCount > 0) {
+      newLabels.push('Other');
+      newData.push(otherCount);
+    }
+
+    return { labels: newLabels, data: newData };
+  }
+
+  /**
+   * Folds every count below the minimum group size into "Other", so a published count can never single out a few users.
+   * This is applied to everything that leaves the server, except the admin endpoints
+   * @param {Object} totals - label -> count
+   * @param {number} [hours] - how many hours the counts cover. The same user is counted once per hour, so the threshold scales with it
+   * @returns {Object} label -> count, with the small counts combined
+   */
+  function anonymizeTotals(totals, hours = 1) {
+    const { labels, data } = combineSmallCounts(Object.keys(totals), Object.values(totals), minGroupSize * hours);
+    return Object.fromEntries(labels.map((label, idx) => [label, data[idx]]));
+  }
+
+  function percentile(arr, p) {
+    if (!arr.length) return null;
+    const sorted = [...arr].sort((a, b) => a - b);
+    const idx = Math.floor(p * (sorted.length - 1));
+    return sorted[idx];
+  }
+
+  // What tests, and anything else that embeds the server, can reach besides the routes
+  fastify.decorate('telemetry', { db, aggregateTotals, catchUpHours, drainQueue, generateHourlyChart });
+
+  return fastify;
+}
+
+// Start the server when this file is run. Requiring it only gives buildServer()
+// With MIGRATE_DRY_RUN=true, it only checks the migrations the database needs, then exits
+if (require.main === module) {
+  if (process.env.MIGRATE_DRY_RUN === 'true') {
+    try {
+      dryRunMigrations();
+      process.exit(0);
+    } catch (exception) {
+      console.error('Database migration failed! Nothing was changed:', exception);
+      process.exit(1);
+    }
+  }
+
+  console.log("Starting node server...");
+  buildServer().then((fastify) => {
+    fastify.listen({ port: fastifyPort, host: '0.0.0.0' })
+      .then(() => console.log(`Fastify running on port ${fastifyPort}`));
+
+    // Closes the server, which stops accepting heartbeats, then writes and aggregates everything
+    let isStopping = false;
+    async function shutdown(signal) {
+      if (isStopping) return; // Already shutting down
+      isStopping = true;
+      console.log(`Received ${signal}, shutting down...`);
+
+      // Force the exit if something hangs
+      setTimeout(() => {
+        console.error('Shutdown took too long, forcing exit');
+        process.exit(1);
+      }, 10000).unref();
+
+      try {
+        await fastify.close();
+        console.log('Shutdown complete');
+        process.exit(0);
+      } catch (exception) {
+        console.error('Error shutting down:', exception);
+        process.exit(1);
       }
-    }]
-  };
-}
\ No newline at end of file
+    }
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    console.log('Server started successfully!');
+  }).catch((exception) => {
+    console.error('Error starting server:', exception);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildServer };
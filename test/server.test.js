@@ -0,0 +1,378 @@
+// Tests of the server, run with "npm test".
+// Each test builds its own server on an in-memory database, with the scheduled jobs off and the clock stopped
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { buildServer } = require('../server');
+const { getRotation } = require('../uuidHash');
+const { parseTrustedProxies, createClientIpResolver } = require('../clientIp');
+const { dryRunMigrations } = require('../database');
+const migrations = require('../migrations');
+const Database = require('better-sqlite3');
+
+const hour = 60 * 60 * 1000;
+const now = Date.UTC(2025, 0, 15, 12, 30); // The clock is stopped half way through an hour
+const hourStart = Date.UTC(2025, 0, 15, 12);
+
+// Builds a server that nothing outside the test can change
+function build(options = {}) {
+  return buildServer({
+    databasePath: ':memory:',
+    cron: false,
+    clock: () => now,
+    rateLimit: 1000, // Every heartbeat in a test comes from the same IP
+    minGroupSize: 1, // So the small counts of a test aren't merged into "Other"
+    appsFile: '', // Ignore any apps.json or releases.json in the working directory
+    releasesFile: '',
+    ...options
+  });
+}
+
+// Sends a heartbeat
+function sendHeartbeat(fastify, body) {
+  return fastify.inject({ method: 'POST', url: '/heartbeat', payload: body });
+}
+
+// Adds heartbeats straight to the database
+function insertHeartbeats(db, heartbeats) {
+  const insert = db.prepare('INSERT INTO heartbeats (app, uuid, version, browser, os, lastSeen, quarantined) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  for (const [index, heartbeat] of heartbeats.entries()) {
+    insert.run('bluemarble', `uuid-${index}`, heartbeat.version, heartbeat.browser, heartbeat.os, heartbeat.lastSeen, heartbeat.quarantined ?? 0);
+  }
+}
+
+test('/heartbeat rejects invalid heartbeats', async (t) => {
+  const fastify = await build();
+  t.after(() => fastify.close());
+
+  const cases = [
+    [{ version: '1.0.0' }, 'Invalid UUID'],
+    [{ uuid: 42 }, 'Invalid UUID'],
+    [{ uuid: 'x'.repeat(101) }, 'UUID too long'],
+    [{ uuid: 'abc', version: 1 }, 'Invalid version'],
+    [{ uuid: 'abc', version: 'x'.repeat(101) }, 'Version too long'],
+    [{ uuid: 'abc', browser: ['Chrome'] }, 'Invalid browser'],
+    [{ uuid: 'abc', os: {} }, 'Invalid OS'],
+    [{ uuid: 'abc', app: 'unknown' }, 'Unknown app']
+  ];
+  for (const [body, error] of cases) {
+    const response = await sendHeartbeat(fastify, body);
+    assert.strictEqual(response.statusCode, 400, JSON.stringify(body));
+    assert.deepStrictEqual(response.json(), { error });
+  }
+
+  const { db, drainQueue } = fastify.telemetry;
+  drainQueue();
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM heartbeats').get().count, 0);
+});
+
+test('/heartbeat stores a valid heartbeat with the UUID hashed', async (t) => {
+  const fastify = await build();
+  t.after(() => fastify.close());
+
+  const response = await sendHeartbeat(fastify, { uuid: 'my-uuid', version: '1.0.0', browser: 'Firefox', os: 'Linux' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(response.json(), { status: 'ok' });
+
+  const { db, drainQueue } = fastify.telemetry;
+  drainQueue();
+  const rows = db.prepare('SELECT * FROM heartbeats').all();
+  assert.strictEqual(rows.length, 1);
+  assert.notStrictEqual(rows[0].uuid, 'my-uuid');
+  assert.match(rows[0].uuid, /^[0-9a-f]{64}$/);
+  assert.strictEqual(rows[0].version, '1.0.0');
+  assert.strictEqual(rows[0].browser, 'Firefox');
+  assert.strictEqual(rows[0].os, 'Linux');
+  assert.strictEqual(rows[0].lastSeen, now);
+});
+
+test('/heartbeat is rate limited per IP', async (t) => {
+  const fastify = await build({ rateLimit: 2 });
+  t.after(() => fastify.close());
+
+  const statusCodes = [];
+  for (let i = 0; i < 4; i++) statusCodes.push((await sendHeartbeat(fastify, { uuid: `uuid-${i}` })).statusCode);
+  assert.deepStrictEqual(statusCodes, [200, 200, 429, 429]);
+});
+
+test('/heartbeat quarantines an IP that sends too many UUIDs until the hour is over', async (t) => {
+  let time = now;
+  const fastify = await build({ clock: () => time, maxUuidsPerIp: 2 });
+  t.after(() => fastify.close());
+
+  const { db, drainQueue } = fastify.telemetry;
+  const fromIp = (uuid) => fastify.inject({ method: 'POST', url: '/heartbeat', payload: { uuid }, headers: { 'cf-connecting-ip': '203.0.113.7' } });
+  for (const uuid of ['a', 'b', 'c']) assert.strictEqual((await fromIp(uuid)).statusCode, 200);
+  drainQueue();
+  assert.deepStrictEqual(db.prepare('SELECT quarantined FROM heartbeats').all().map(row => row.quarantined), [1, 1, 1]);
+
+  // In the next hour, the same IP only sends one UUID
+  time += hour;
+  await fromIp('a');
+  drainQueue();
+  const rows = db.prepare('SELECT lastSeen, quarantined FROM heartbeats ORDER BY lastSeen DESC').all();
+  assert.deepStrictEqual(rows[0], { lastSeen: time, quarantined: 0 });
+});
+
+test('/heartbeat counts the UUIDs of rate limited heartbeats towards the quarantine', async (t) => {
+  const fastify = await build({ rateLimit: 2, maxUuidsPerIp: 2 });
+  t.after(() => fastify.close());
+
+  const { db, drainQueue } = fastify.telemetry;
+  const statusCodes = [];
+  for (const uuid of ['a', 'b', 'c']) statusCodes.push((await sendHeartbeat(fastify, { uuid })).statusCode);
+  assert.deepStrictEqual(statusCodes, [200, 200, 429]);
+  drainQueue();
+  assert.deepStrictEqual(db.prepare('SELECT quarantined FROM heartbeats').all().map(row => row.quarantined), [1, 1]);
+});
+
+test('the client IP is only taken from the headers of trusted proxies', () => {
+  const getClientIp = createClientIpResolver(parseTrustedProxies('10.0.0.0/8,127.0.0.1=cf-connecting-ip'));
+  const request = (remoteAddress, headers = {}) => ({ socket: { remoteAddress }, headers });
+
+  // Each trusted proxy appended the address it got the request from, so the client is the first one from the right that isn't a proxy
+  assert.strictEqual(getClientIp(request('10.0.0.1', { 'x-forwarded-for': '198.51.100.9, 203.0.113.7, 10.0.0.2' })), '203.0.113.7');
+  assert.strictEqual(getClientIp(request('::ffff:10.0.0.1', { 'x-forwarded-for': '203.0.113.7' })), '203.0.113.7');
+  assert.strictEqual(getClientIp(request('10.0.0.1', { 'x-forwarded-for': 'not-an-ip, 10.0.0.2' })), '10.0.0.2');
+  assert.strictEqual(getClientIp(request('10.0.0.1')), '10.0.0.1');
+
+  // A proxy is only believed in the header it was set up with
+  assert.strictEqual(getClientIp(request('127.0.0.1', { 'cf-connecting-ip': '203.0.113.7', 'x-forwarded-for': '198.51.100.9' })), '203.0.113.7');
+  assert.strictEqual(getClientIp(request('10.0.0.1', { 'cf-connecting-ip': '203.0.113.7' })), '10.0.0.1');
+
+  // Anyone else can send any header they like
+  const headers = { 'x-forwarded-for': '203.0.113.7', 'cf-connecting-ip': '203.0.113.7', 'x-real-ip': '203.0.113.7' };
+  assert.strictEqual(getClientIp(request('198.51.100.9', headers)), '198.51.100.9');
+});
+
+test('a user online across a salt rotation is counted once', async (t) => {
+  // The first minute of the next rotation
+  let rotationStart = now;
+  while (getRotation(rotationStart) === getRotation(now)) rotationStart += 60 * 1000;
+
+  let time = rotationStart - 10 * 60 * 1000;
+  const fastify = await build({ clock: () => time });
+  t.after(() => fastify.close());
+
+  await sendHeartbeat(fastify, { uuid: 'my-uuid' });
+  time = rotationStart + 5 * 60 * 1000;
+  await sendHeartbeat(fastify, { uuid: 'my-uuid' });
+
+  assert.strictEqual((await fastify.inject({ url: '/api/online-now' })).json().onlineNow, 1);
+});
+
+test('a UUID hashes the same way for a whole local hour, even where hours don\'t start on the UTC hour', async (t) => {
+  const timeZone = process.env.TZ;
+  process.env.TZ = 'Asia/Kolkata'; // UTC+5:30, so each local hour spans a UTC midnight
+  let time = Date.UTC(2025, 0, 15, 23, 50);
+  const fastify = await build({ clock: () => time });
+  t.after(async () => {
+    await fastify.close();
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  });
+
+  await sendHeartbeat(fastify, { uuid: 'my-uuid' });
+  time = Date.UTC(2025, 0, 16, 0, 10);
+  await sendHeartbeat(fastify, { uuid: 'my-uuid' });
+
+  const { db, drainQueue } = fastify.telemetry;
+  drainQueue();
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM heartbeats').get().count, 1);
+});
+
+test('aggregateTotals tallies an hour of heartbeats and wipes them', async (t) => {
+  const fastify = await build();
+  t.after(() => fastify.close());
+
+  const { db, aggregateTotals } = fastify.telemetry;
+  const start = hourStart - hour;
+  insertHeartbeats(db, [
+    { version: '1.0.0', browser: 'Chrome', os: 'Windows', lastSeen: start + 1000 },
+    { version: '1.0.0', browser: 'Firefox', os: 'Linux', lastSeen: start + 2000 },
+    { version: '1.1.0', browser: 'Chrome', os: 'Windows', lastSeen: start + 3000 },
+    { version: '1.1.0', browser: 'Chrome', os: 'Windows', lastSeen: start + 4000, quarantined: 1 }, // Never counted
+    { version: '1.2.0', browser: 'Chrome', os: 'Windows', lastSeen: hourStart + 1000 } // The next hour
+  ]);
+
+  aggregateTotals('heartbeats', 'totalsHourly', start, hourStart, 'hourStart');
+
+  const totals = db.prepare('SELECT * FROM totalsHourly WHERE hourStart = ?').get(start);
+  assert.strictEqual(totals.app, 'bluemarble');
+  assert.strictEqual(totals.onlineUsers, 3);
+  assert.deepStrictEqual(JSON.parse(totals.version), { '1.0.0': 2, '1.1.0': 1 });
+  assert.deepStrictEqual(JSON.parse(totals.browser), { Chrome: 2, Firefox: 1 });
+  assert.deepStrictEqual(JSON.parse(totals.os), { Windows: 2, Linux: 1 });
+
+  // Only the heartbeats of the next hour are left
+  const left = db.prepare('SELECT version FROM heartbeats').all();
+  assert.deepStrictEqual(left.map(row => row.version), ['1.2.0']);
+});
+
+test('aggregateTotals keeps the heartbeats of a partial hour', async (t) => {
+  const fastify = await build();
+  t.after(() => fastify.close());
+
+  const { db, aggregateTotals } = fastify.telemetry;
+  insertHeartbeats(db, [
+    { version: '1.0.0', browser: 'Chrome', os: 'Windows', lastSeen: hourStart + 1000 },
+    { version: '1.0.0', browser: 'Chrome', os: 'Windows', lastSeen: hourStart + 2000 }
+  ]);
+
+  aggregateTotals('heartbeats', 'totalsHourly', hourStart, now, 'hourStart', undefined, false);
+
+  assert.strictEqual(db.prepare('SELECT onlineUsers FROM totalsHourly WHERE hourStart = ?').get(hourStart).onlineUsers, 2);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM heartbeats').get().count, 2);
+});
+
+test('the rollups missed while the server was down are caught up at startup', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-test-'));
+  const databasePath = path.join(directory, 'telemetry.sqlite3');
+
+  // The first run sees one hour, then is down for over a week
+  const first = await build({ databasePath });
+  const { db } = first.telemetry;
+  insertHeartbeats(db, [
+    { version: '1.0.0', browser: 'Chrome', os: 'Windows', lastSeen: hourStart - hour + 1000 },
+    { version: '1.0.0', browser: 'Chrome', os: 'Windows', lastSeen: hourStart - hour + 2000 }
+  ]);
+  first.telemetry.aggregateTotals('heartbeats', 'totalsHourly', hourStart - hour, hourStart, 'hourStart');
+  await first.close();
+
+  const second = await build({ databasePath, clock: () => now + 10 * 24 * hour });
+  t.after(async () => {
+    await second.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // The day and the week of that hour were rolled up, even though their jobs never ran
+  for (const [table, intervalStartCol] of [['totalsDaily', 'dayStart'], ['totalsWeekly', 'weekStart']]) {
+    const row = second.telemetry.db.prepare(`SELECT version FROM ${table} WHERE ${intervalStartCol} <= ? ORDER BY ${intervalStartCol} DESC LIMIT 1`).get(hourStart - hour);
+    assert.ok(row, table);
+    assert.deepStrictEqual(JSON.parse(row.version), { '1.0.0': 2 }, table);
+  }
+});
+
+test('a migration dry run returns the migrations it would apply, and changes nothing', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-test-'));
+  const databasePath = path.join(directory, 'telemetry.sqlite3');
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  assert.deepStrictEqual(dryRunMigrations(databasePath), migrations.map(migration => migration.version));
+  const db = new Database(databasePath);
+  assert.strictEqual(db.pragma('user_version', { simple: true }), 0);
+  db.close();
+});
+
+test('/api/releases never publishes a share that gives away a small group', async (t) => {
+  const fastify = await build({ minGroupSize: 25 });
+  t.after(() => fastify.close());
+
+  // One user is still on 1.0.0, among 99 on 2.0.0. The hour's 100 online users are published by /api/totals
+  const { db } = fastify.telemetry;
+  const start = hourStart - hour;
+  db.prepare("INSERT INTO releases (app, version, releasedAt) VALUES ('bluemarble', '1.0.0', ?), ('bluemarble', '2.0.0', ?)").run(start - hour, start);
+  db.prepare("INSERT INTO totalsHourly (app, hourStart, onlineUsers, version, lastSeen) VALUES ('bluemarble', ?, 100, ?, ?)").run(start, JSON.stringify({ '1.0.0': 1, '2.0.0': 99 }), hourStart);
+
+  for (const version of ['1.0.0', '2.0.0']) {
+    const response = await fastify.inject({ url: `/api/releases/${version}` });
+    assert.strictEqual(response.statusCode, 200);
+    const { share, currentShare } = response.json();
+    assert.deepStrictEqual(share.map(hour => [hour.users, hour.share]), [[null, null]], version);
+    assert.strictEqual(currentShare, null, version);
+  }
+
+  // Everyone is on 1.0.0 or newer, and nobody is left out of that
+  assert.strictEqual((await fastify.inject({ url: '/api/releases/1.0.0' })).json().share[0].atLeastShare, 1);
+  assert.strictEqual((await fastify.inject({ url: '/api/releases/2.0.0' })).json().share[0].atLeastShare, null);
+
+  const { releases } = (await fastify.inject({ url: '/api/releases' })).json();
+  assert.deepStrictEqual(releases.map(release => release.currentShare), [null, null]);
+});
+
+test('/admin is rate limited before the token is checked, and audits failed attempts', async (t) => {
+  const fastify = await build({ adminToken: 'secret', readRateLimit: 2 });
+  t.after(() => fastify.close());
+
+  const statusCodes = [];
+  for (const token of ['guess-1', 'guess-2', 'secret']) {
+    statusCodes.push((await fastify.inject({ url: '/admin/audit', headers: { authorization: `Bearer ${token}` } })).statusCode);
+  }
+  assert.deepStrictEqual(statusCodes, [401, 401, 429]);
+
+  const actions = fastify.telemetry.db.prepare('SELECT action, params FROM adminAudit').all();
+  assert.deepStrictEqual(actions.map(action => action.action), ['unauthorized', 'unauthorized']);
+  assert.strictEqual(JSON.parse(actions[0].params).url, '/admin/audit');
+});
+
+test('/metrics shows the counters without labels before they are first counted', async (t) => {
+  const fastify = await build();
+  t.after(() => fastify.close());
+
+  const lines = (await fastify.inject({ url: '/metrics' })).body.split('\n');
+  assert.ok(lines.includes('telemetry_db_write_errors_total 0'));
+  assert.ok(!lines.some(line => line.startsWith('telemetry_heartbeats_total')));
+});
+
+test('/chart/hourly serves CSV of the hourly totals', async (t) => {
+  const fastify = await build();
+  t.after(() => fastify.close());
+
+  const { db, aggregateTotals } = fastify.telemetry;
+  const start = hourStart - hour;
+  insertHeartbeats(db, [
+    { version: '1.0.0', browser: 'Chrome', os: 'Windows', lastSeen: start + 1000 },
+    { version: '1.1.0', browser: 'Firefox', os: 'Windows', lastSeen: start + 2000 }
+  ]);
+  aggregateTotals('heartbeats', 'totalsHourly', start, hourStart, 'hourStart');
+
+  const response = await fastify.inject({ url: '/chart/hourly?format=csv&timezone=UTC' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.ok(response.headers.etag);
+  assert.strictEqual(response.headers['last-modified'], new Date(now).toUTCString());
+
+  const lines = response.body.trim().split('\r\n');
+  assert.strictEqual(lines[0], 'Time,Users,Versions,Browsers,Operating Systems');
+  const label = new Date(start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: 'UTC' }); // Formatted like the server does, in any locale
+  assert.ok(lines.includes(`${label},2,2,2,1`), response.body);
+});
+
+test('/chart/hourly answers 304 when the client has the latest chart', async (t) => {
+  const fastify = await build();
+  t.after(() => fastify.close());
+
+  const first = await fastify.inject({ url: '/chart/hourly?format=csv' });
+  assert.strictEqual(first.statusCode, 200);
+
+  const byEtag = await fastify.inject({ url: '/chart/hourly?format=csv', headers: { 'if-none-match': first.headers.etag } });
+  assert.strictEqual(byEtag.statusCode, 304);
+  assert.strictEqual(byEtag.body, '');
+
+  const byDate = await fastify.inject({ url: '/chart/hourly?format=csv', headers: { 'if-modified-since': first.headers['last-modified'] } });
+  assert.strictEqual(byDate.statusCode, 304);
+
+  const changed = await fastify.inject({ url: '/chart/hourly?format=csv', headers: { 'if-none-match': '"something else"' } });
+  assert.strictEqual(changed.statusCode, 200);
+});
+
+test('/chart/hourly rejects invalid queries', async (t) => {
+  const fastify = await build();
+  t.after(() => fastify.close());
+
+  const cases = [
+    ['type=pie3d', 'Invalid chart type'],
+    ['app=unknown', 'Unknown app'],
+    ['width=1', null],
+    ['theme=neon', null],
+    ['timezone=Mars/Olympus', 'Invalid timezone']
+  ];
+  for (const [query, error] of cases) {
+    const response = await fastify.inject({ url: `/chart/hourly?format=csv&${query}` });
+    assert.strictEqual(response.statusCode, 400, query);
+    if (error) assert.strictEqual(response.json().error, error);
+  }
+});
@@ -0,0 +1,85 @@
+// Classifies browsers and operating systems from the User-Agent header,
+// so every client is counted under the same spelling no matter what the userscript sends.
+
+// Browsers, in the order they are checked. Most browsers also claim to be Chrome and Safari, so those go last
+const browserRules = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/(\d+)/ },
+  { name: 'Opera', pattern: /(?:OPR|OPT|Opera)\/(\d+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/(\d+)/ },
+  { name: 'Vivaldi', pattern: /Vivaldi\/(\d+)/ },
+  { name: 'Yandex', pattern: /YaBrowser\/(\d+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/(\d+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/(\d+)/ },
+  { name: 'Safari', pattern: /Version\/(\d+)(?:\.\d+)*(?: Mobile\/\w+)? Safari\// }
+];
+
+// Operating systems, in the order they are checked. Android and ChromeOS also claim to be Linux
+const osRules = [
+  { name: 'Windows', pattern: /Windows NT|Win64|Windows/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'macOS', pattern: /Macintosh|Mac OS X/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux|X11/ }
+];
+
+/**
+ * Parses a User-Agent header
+ * @param {string} userAgent - The User-Agent header
+ * @returns {{browser: string|null, browserMajor: string|null, os: string|null, engine: string|null}} null for anything unknown
+ */
+function parseUserAgent(userAgent) {
+  const result = { browser: null, browserMajor: null, os: null, engine: null };
+  if (!userAgent || typeof userAgent !== 'string') return result;
+
+  const browserRule = browserRules.find(rule => rule.pattern.test(userAgent));
+  if (browserRule) {
+    result.browser = browserRule.name;
+    result.browserMajor = browserRule.pattern.exec(userAgent)[1];
+  }
+
+  result.os = osRules.find(rule => rule.pattern.test(userAgent))?.name || null;
+
+  // Every browser on iOS has to use WebKit, even the ones that claim to be Chrome
+  if (/AppleWebKit/.test(userAgent) && ((result.os === 'iOS') || !/Chrome\//.test(userAgent))) {
+    result.engine = 'WebKit';
+  } else if (/Chrome\//.test(userAgent)) {
+    result.engine = 'Blink';
+  } else if (/Gecko\/\d/.test(userAgent)) {
+    result.engine = 'Gecko';
+  } else if (/Trident\//.test(userAgent)) {
+    result.engine = 'Trident';
+  }
+
+  return result;
+}
+
+// Known spellings of browsers and operating systems, lowercase, for when the User-Agent can't be used
+const aliases = {
+  'chrome': 'Chrome', 'google chrome': 'Chrome', 'chromium': 'Chrome',
+  'firefox': 'Firefox', 'mozilla firefox': 'Firefox', 'ff': 'Firefox',
+  'edge': 'Edge', 'microsoft edge': 'Edge', 'msedge': 'Edge',
+  'opera': 'Opera', 'opera gx': 'Opera',
+  'safari': 'Safari',
+  'samsung internet': 'Samsung Internet', 'samsungbrowser': 'Samsung Internet',
+  'vivaldi': 'Vivaldi',
+  'yandex': 'Yandex',
+  'windows': 'Windows', 'win32': 'Windows', 'win64': 'Windows', 'win': 'Windows',
+  'macos': 'macOS', 'mac': 'macOS', 'mac os': 'macOS', 'mac os x': 'macOS', 'macintel': 'macOS', 'osx': 'macOS',
+  'ios': 'iOS', 'iphone': 'iOS', 'ipad': 'iOS',
+  'android': 'Android',
+  'chromeos': 'ChromeOS', 'chrome os': 'ChromeOS', 'cros': 'ChromeOS',
+  'linux': 'Linux', 'linux x86_64': 'Linux', 'ubuntu': 'Linux'
+};
+
+/**
+ * Normalizes a browser or OS name sent by the userscript
+ * @param {string} name - The name sent by the userscript
+ * @returns {string|null} The known spelling, or the name itself if it isn't known
+ */
+function normalizeName(name) {
+  if (!name) return null;
+  return aliases[name.trim().toLowerCase()] || name.trim();
+}
+
+module.exports = { parseUserAgent, normalizeName };
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// The secret salt from createSalt.js. Every rotation derives its own key from it.
+let salt = process.env.UUID_SALT;
+if (!salt) {
+  console.warn('UUID_SALT is not set! Using a random salt, so UUID hashes will change when the server restarts. Run createSalt.js to make one.');
+  salt = crypto.randomBytes(32).toString('hex');
+}
+
+const rotationHours = parseInt(process.env.SALT_ROTATION_HOURS, 10) || 24; // Default to rotating the key every 24 hours
+
+let cachedRotation = null; // The rotation the cached key belongs to
+let cachedKey = null; // The key for the cached rotation
+
+/**
+ * Returns which rotation a timestamp falls in.
+ * Rotations are counted in local hours, the same hours the heartbeats are aggregated in,
+ * so a rotation always starts right as an hour is aggregated and a UUID hashes the same way for the whole hour.
+ * @param {number} timestamp - Unix timestamp in ms
+ * @returns {number} rotation index
+ */
+function getRotation(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  date.setMinutes(0, 0, 0); // Start of the local hour, like startOfHour in server.js
+  const localHours = Math.floor((date.getTime() - date.getTimezoneOffset() * 60 * 1000) / (60 * 60 * 1000)); // Hours on the local clock since the epoch
+  return Math.floor(localHours / rotationHours);
+}
+
+// Derives the key for a rotation from the salt.
+// Old keys can't be recovered without the salt, and the raw UUIDs can't be recovered at all.
+function getKey(rotation) {
+  if (rotation !== cachedRotation) {
+    cachedKey = crypto.createHmac('sha256', salt).update(`rotation:${rotation}`).digest();
+    cachedRotation = rotation;
+  }
+  return cachedKey;
+}
+
+/**
+ * Hashes a UUID with the key of the current rotation.
+ * The same UUID always hashes the same way during a rotation, so it can still be counted once per hour.
+ * @param {string} uuid - The raw UUID sent by the userscript
+ * @param {number} timestamp - Unix timestamp in ms to pick the rotation with
+ * @returns {string} 64 character hex hash
+ */
+function hashUuid(uuid, timestamp = Date.now()) {
+  return hashUuidInRotation(uuid, getRotation(timestamp));
+}
+
+// Hashes a UUID with the key of a rotation
+function hashUuidInRotation(uuid, rotation) {
+  return crypto.createHmac('sha256', getKey(rotation)).update(uuid).digest('hex');
+}
+
+/**
+ * Hashes a UUID with the keys of the current and the previous rotation.
+ * Heartbeats are kept for at most an hour, so a UUID stored right before a rotation can only be under the previous key.
+ * @param {string} uuid - The raw UUID sent by the userscript
+ * @param {number} timestamp - Unix timestamp in ms to pick the rotations with
+ * @returns {string[]} [current hash, previous hash]
+ */
+function hashUuidRecent(uuid, timestamp = Date.now()) {
+  const rotation = getRotation(timestamp);
+  return [hashUuidInRotation(uuid, rotation), hashUuidInRotation(uuid, rotation - 1)];
+}
+
+// Never rotated, so a user counts once per week and month. Anyone with the salt could check whether a UUID is likely in a sketch,
+// so the sketches are only kept for the 30 days the monthly count needs
+const sketchKey = crypto.createHmac('sha256', salt).update('sketch').digest();
+
+/**
+ * Hashes a UUID for the active user sketches.
+ * This hash is the same every day, so it is never stored. It is only folded into a sketch, which keeps a few bits of it at most,
+ * and used in memory to recognize who is online right now.
+ * @param {string} uuid - The raw UUID sent by the userscript
+ * @returns {Buffer} 32 byte hash
+ */
+function hashUuidForSketch(uuid) {
+  return crypto.createHmac('sha256', sketchKey).update(uuid).digest();
+}
+
+module.exports = { hashUuid, hashUuidRecent, hashUuidForSketch, getRotation };